@@ -0,0 +1,192 @@
+const yaml = require('js-yaml');
+const { CONFIG, LLM_PROVIDERS } = require('./constants');
+
+/**
+ * Schema of the repository configuration file.
+ * Keys named like action inputs use the same values as the inputs (lists may be YAML arrays);
+ * the remaining keys override tuning knobs from CONFIG.
+ */
+const CONFIG_FILE_SCHEMA = {
+  llm_provider: { type: 'string', enum: Object.keys(LLM_PROVIDERS) },
+  model: { type: 'string' },
+  llm_fallback: { type: 'list' },
+  consensus_models: { type: 'list' },
+  consensus_quorum: { type: 'integer', min: 1 },
+  llm_base_url: { type: 'string' },
+  llm_auth_header: { type: 'string', enum: ['authorization', 'api-key'] },
+  azure_deployment: { type: 'string' },
+  azure_api_version: { type: 'string' },
+  path_to_files: { type: 'list' },
+  language: { type: 'list', enum: ['auto', ...Object.keys(CONFIG.LANGUAGE_CONFIGS)] },
+  include_patterns: { type: 'list' },
+  exclude_patterns: { type: 'list' },
+  review_ignore_file: { type: 'string' },
+  review_guidelines: { type: 'list' },
+  max_tokens: { type: 'integer', min: 1 },
+  temperature: { type: 'number', min: 0, max: 1 },
+  context_window: { type: 'integer', min: 8192 },
+  structured_output: { type: 'boolean' },
+  synthesize_review: { type: 'boolean' },
+  comment_mode: { type: 'string', enum: ['summary', 'inline'] },
+  comment_strategy: { type: 'string', enum: ['update', 'new', 'minimize-old'] },
+  review_scope: { type: 'string', enum: ['full', 'incremental'] },
+  context_mode: { type: 'string', enum: ['diff', 'function', 'full'] },
+  context_token_budget: { type: 'integer', min: 0 },
+  import_context: { type: 'boolean' },
+  import_context_token_budget: { type: 'integer', min: 0 },
+  create_check_run: { type: 'boolean' },
+  check_name: { type: 'string' },
+  sarif_file: { type: 'string' },
+  report_file: { type: 'string' },
+  block_confidence_threshold: { type: 'number', min: 0, max: 1 },
+  block_min_severity_score: { type: 'number', min: 0, max: 5 },
+  block_categories: { type: 'list', enum: CONFIG.ISSUE_CATEGORIES },
+  max_suggestions: { type: 'integer', min: 0 },
+  advisory_mode: { type: 'boolean' },
+  max_cost_usd: { type: 'number', min: 0 },
+  max_tokens_total: { type: 'integer', min: 1 },
+  chunk_size: { type: 'integer', min: 1024 },
+  max_concurrent_requests: { type: 'integer', min: 1 },
+  batch_delay_ms: { type: 'integer', min: 0 },
+  ignore_patterns: { type: 'list' },
+  overrides: {
+    type: 'array',
+    items: {
+      paths: { type: 'list', required: true },
+      language: { type: 'string', enum: Object.keys(CONFIG.LANGUAGE_CONFIGS) },
+      skip: { type: 'boolean' }
+    }
+  }
+};
+
+/**
+ * Describe a value for error messages
+ */
+function describeValue(value) {
+  return Array.isArray(value) ? 'a list' : `${typeof value} ${JSON.stringify(value)}`;
+}
+
+/**
+ * Validate a single value against its schema entry, collecting error messages
+ */
+function validateValue(key, value, rule, errors) {
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string' || value.trim().length === 0) {
+        errors.push(`"${key}" must be a non-empty string (got ${describeValue(value)})`);
+        return;
+      }
+      break;
+    case 'list': {
+      const items = Array.isArray(value) ? value : [value];
+      if (items.length === 0 || items.some(item => typeof item !== 'string' || item.trim().length === 0)) {
+        errors.push(`"${key}" must be a string or a list of non-empty strings (got ${describeValue(value)})`);
+        return;
+      }
+      if (rule.enum) {
+        const invalid = items.filter(item => !rule.enum.includes(item.trim()));
+        if (invalid.length > 0) {
+          errors.push(`"${key}" has unsupported values ${invalid.join(', ')} (allowed: ${rule.enum.join(', ')})`);
+        }
+      }
+      return;
+    }
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value) || (rule.type === 'integer' && !Number.isInteger(value))) {
+        errors.push(`"${key}" must be ${rule.type === 'integer' ? 'an integer' : 'a number'} (got ${describeValue(value)})`);
+        return;
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        errors.push(`"${key}" must be ≥ ${rule.min} (got ${value})`);
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        errors.push(`"${key}" must be ≤ ${rule.max} (got ${value})`);
+      }
+      return;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push(`"${key}" must be true or false (got ${describeValue(value)})`);
+      }
+      return;
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`"${key}" must be a list (got ${describeValue(value)})`);
+        return;
+      }
+      value.forEach((item, index) => validateObject(item, rule.items, `${key}[${index}]`, errors));
+      return;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push(`"${key}" must be one of ${rule.enum.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+}
+
+/**
+ * Validate an object against a schema, collecting error messages
+ */
+function validateObject(config, schema, prefix, errors) {
+  const label = prefix ? `${prefix}.` : '';
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    errors.push(`${prefix ? `"${prefix}"` : 'The configuration'} must be a mapping of keys to values (got ${describeValue(config)})`);
+    return;
+  }
+
+  Object.keys(config).forEach(key => {
+    if (!schema[key]) {
+      errors.push(`Unknown key "${label}${key}" (supported keys: ${Object.keys(schema).join(', ')})`);
+    }
+  });
+
+  Object.entries(schema).forEach(([key, rule]) => {
+    if (config[key] === undefined || config[key] === null) {
+      if (rule.required) {
+        errors.push(`Missing required key "${label}${key}"`);
+      }
+      return;
+    }
+    validateValue(`${label}${key}`, config[key], rule, errors);
+  });
+}
+
+/**
+ * Validate a parsed configuration file, returning a list of error messages
+ */
+function validateConfigFile(config) {
+  const errors = [];
+  validateObject(config, CONFIG_FILE_SCHEMA, '', errors);
+  return errors;
+}
+
+/**
+ * Parse and validate the content of the repository configuration file.
+ * Throws on invalid YAML or schema errors.
+ */
+function parseConfigFile(content, filePath) {
+  let config;
+  try {
+    config = yaml.load(content);
+  } catch (error) {
+    throw new Error(`Invalid YAML in ${filePath}: ${error.message}`);
+  }
+
+  // An empty file is a valid (empty) configuration
+  if (config === undefined || config === null) {
+    return {};
+  }
+
+  const errors = validateConfigFile(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration in ${filePath}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  return config;
+}
+
+module.exports = {
+  CONFIG_FILE_SCHEMA,
+  validateConfigFile,
+  parseConfigFile
+};
@@ -6,12 +6,60 @@ const CONFIG = {
   DEFAULT_PROVIDER: 'claude',
   DEFAULT_PATH_TO_FILES: 'packages/',
   DEFAULT_LANGUAGE: 'js', // Default language for code review
-  IGNORE_PATTERNS: ['.json', '.md', '.lock', '.test.js', '.spec.js'],
-  MAX_TOKENS: 3000, // Increased for comprehensive code reviews
-  TEMPERATURE: 0, // Optimal for consistent analytical responses
-  // Chunking configuration
-  DEFAULT_CHUNK_SIZE: 300 * 1024, // 300KB default chunk size (optimized for Claude Sonnet 4)
-  MAX_CONCURRENT_REQUESTS: 1, // Reduced to 1 to avoid rate limits
+  DEFAULT_COMMENT_MODE: 'summary', // 'summary' (single PR comment) or 'inline' (PR review with line comments)
+  DEFAULT_COMMENT_STRATEGY: 'update', // 'update', 'new' or 'minimize-old'
+  COMMENT_MARKER: '<!-- web-code-reviewer -->', // Hidden marker identifying comments posted by this action
+  COMMENT_METADATA_PREFIX: 'web-code-reviewer:meta', // Hidden comment carrying the reviewed head SHA and issues
+  MAX_METADATA_LENGTH: 30000, // Characters of base64 metadata allowed in a comment, leaving room for the review below it
+  MAX_METADATA_TEXT_LENGTH: 300, // why_it_matters and fix are shortened to this length in the metadata
+  MAX_COMMENT_LENGTH: 65536, // GitHub limit for comment and review bodies
+  DEFAULT_REVIEW_SCOPE: 'full', // 'full' (whole PR) or 'incremental' (only commits since the last review)
+  DEFAULT_CONTEXT_MODE: 'diff', // 'diff' (3 lines around changes), 'function' (enclosing function/class) or 'full' (whole file)
+  DEFAULT_CONTEXT_TOKEN_BUDGET: 20000, // Extra tokens of surrounding code allowed per review in function/full context modes
+  MAX_CONTEXT_TOKENS_PER_FILE: 4000, // Extra context tokens a single file may use, so one large file cannot take the whole budget
+  FULL_FILE_CONTEXT_LINES: 1000000, // --unified value that makes git show the whole file
+  // git funcname pattern (POSIX extended regex) of the deepreview-js diff driver, which git does not ship:
+  // function and class declarations, functions assigned to variables and class methods, except control statements
+  JS_FUNCNAME_PATTERN: [
+    '!^[ \t]*(if|for|while|switch|catch|with)[ \t]*\\(',
+    '^[ \t]*((export[ \t]+)?(default[ \t]+)?(async[ \t]+)?function[ \t*]*[A-Za-z_$][A-Za-z0-9_$]*.*)$',
+    '^[ \t]*((export[ \t]+)?(default[ \t]+)?(abstract[ \t]+)?class[ \t]+[A-Za-z_$].*)$',
+    '^[ \t]*((export[ \t]+)?(const|let|var)[ \t]+[A-Za-z_$][A-Za-z0-9_$]*[ \t]*(:[^=]*)?=[ \t]*(async[ \t]+)?(function|\\(|[A-Za-z_$][A-Za-z0-9_$]*[ \t]*=>).*)$',
+    '^[ \t]*(((public|private|protected|static|async|get|set|readonly|override)[ \t]+)*[A-Za-z_$][A-Za-z0-9_$]*[ \t]*\\([^;]*\\)[ \t]*(:[^;]*)?\\{[ \t]*)$'
+  ].join('\n'),
+  DEFAULT_IMPORT_CONTEXT_TOKEN_BUDGET: 8000, // Tokens of imported API signatures allowed per review when import_context is enabled
+  IMPORT_CONTEXT_MAX_DEPTH: 3, // Re-export (barrel file) and tsconfig `extends` levels followed when resolving imports
+  IMPORT_CONTEXT_MAX_DECLARATION_LINES: 30, // Longer imported declarations (e.g. large interfaces) are truncated
+  DEFAULT_CHECK_NAME: 'DeepReview', // Name of the check run created when create_check_run is enabled
+  MAX_CHECK_ANNOTATIONS_PER_REQUEST: 50, // GitHub Checks API limit per create/update call
+  MAX_CHECK_SUMMARY_LENGTH: 65535, // GitHub Checks API limit for output.summary
+  DEFAULT_REPORT_FILE: 'deepreview-report.json', // Written to RUNNER_TEMP unless report_file is set
+  IGNORE_PATTERNS: ['*.json', '*.md', '*.lock', '*.test.js', '*.spec.js'], // Default exclusions (gitignore syntax)
+  DEFAULT_REVIEW_IGNORE_FILE: '.reviewignore', // gitignore-style file in the repository root
+  DEFAULT_CONFIG_FILE: '.github/web-code-reviewer.yml', // Optional repository configuration file
+  GUIDELINE_BLOCKING_MARKER: '[blocking]', // Marks a guideline rule whose violations block the merge
+  // Merge-blocking policy defaults
+  ISSUE_CATEGORIES: ['security', 'performance', 'maintainability', 'best_practices'],
+  BLOCK_CONFIDENCE_THRESHOLD: 0.6, // Critical issues below this confidence are reported but do not block
+  BLOCK_MIN_SEVERITY_SCORE: 0, // Critical issues below this severity_score are reported but do not block
+  // Multi-model consensus
+  DEFAULT_CONSENSUS_QUORUM: 2, // Models that must report an issue before it can block the merge
+  CONSENSUS_LINE_TOLERANCE: 3, // Line distance within which issues from different models are considered the same
+  // Normalized review
+  ISSUE_ID_PREFIXES: { security: 'SEC', performance: 'PERF', maintainability: 'MAINT', best_practices: 'BP' },
+  DUPLICATE_ISSUE_SIMILARITY: 0.6, // Share of common words above which issues from different chunks are merged
+  MAX_TOKENS: 5000, // Room for comprehensive code reviews
+  TEMPERATURE: 0.3, // Mostly consistent analytical responses
+  DEFAULT_CONTEXT_WINDOW: 128000, // Assumed context window for models missing from MODEL_CONTEXT_WINDOWS
+  MIN_CONTEXT_WINDOW: 8192, // Smallest accepted context_window input
+  CHUNK_TOKEN_MARGIN: 0.05, // Share of the context window kept free when planning chunks, for token count differences
+  MIN_CHUNK_TOKENS: 1000, // Smallest diff budget per chunk when the prompt and max_tokens leave less room
+  SPLIT_HUNK_OVERLAP_LINES: 3, // Trailing context lines of a split hunk piece repeated at the start of the next piece
+  DEFAULT_TOKENIZER: { encoding: 'cl100k_base', ratio: 1.2 }, // Approximation for models missing from MODEL_TOKENIZERS
+  MAX_REPAIR_ATTEMPTS: 2, // Follow-up requests asking the model to fix a response that does not match the review schema
+  DEFAULT_AZURE_API_VERSION: '2024-10-21', // api-version sent to Azure OpenAI deployments unless azure_api_version is set
+  // Chunking configuration - chunks are planned from the token budget, chunk_size adds an optional byte cap
+  MAX_CONCURRENT_REQUESTS: 2, // Parallel chunk requests for large PRs
   BATCH_DELAY_MS: 2000, // Increased delay between requests
   APPROVAL_PHRASES: [
     'safe to merge', '✅ safe to merge', 'merge approved', 
@@ -33,72 +81,341 @@ const CONFIG = {
     js: {
       extensions: ['.js', '.jsx', '.ts', '.tsx', '.mjs'],
       patterns: ['*.js', '*.jsx', '*.ts', '*.tsx', '*.mjs'],
-      name: 'JavaScript/TypeScript'
+      name: 'JavaScript/TypeScript',
+      diffDriver: 'deepreview-js'
     },
     python: {
       extensions: ['.py', '.pyw', '.pyx', '.pyi'],
       patterns: ['*.py', '*.pyw', '*.pyx', '*.pyi'],
-      name: 'Python'
+      name: 'Python',
+      diffDriver: 'python'
     },
     java: {
       extensions: ['.java'],
       patterns: ['*.java'],
-      name: 'Java'
+      name: 'Java',
+      diffDriver: 'java'
     },
     php: {
       extensions: ['.php'],
       patterns: ['*.php'],
-      name: 'PHP'
+      name: 'PHP',
+      diffDriver: 'php'
+    },
+    go: {
+      extensions: ['.go'],
+      patterns: ['*.go'],
+      name: 'Go',
+      diffDriver: 'golang'
+    },
+    kotlin: {
+      extensions: ['.kt', '.kts'],
+      patterns: ['*.kt', '*.kts'],
+      name: 'Kotlin',
+      diffDriver: 'kotlin'
+    },
+    csharp: {
+      extensions: ['.cs'],
+      patterns: ['*.cs'],
+      name: 'C#',
+      diffDriver: 'csharp'
+    },
+    ruby: {
+      extensions: ['.rb', '.rake'],
+      patterns: ['*.rb', '*.rake'],
+      name: 'Ruby',
+      diffDriver: 'ruby'
+    },
+    rust: {
+      extensions: ['.rs'],
+      patterns: ['*.rs'],
+      name: 'Rust',
+      diffDriver: 'rust'
     }
   }
 };
 
 /**
- * LLM Provider configurations
+ * Request body for OpenAI-style chat completion APIs
+ * (structured output via a strict response_format JSON schema)
+ */
+const openAIChatBody = (prompt, diff, options) => ({
+  model: options.model,
+  messages: [{
+    role: 'system',
+    content: 'You are a senior frontend engineer performing a code review. Provide detailed, actionable feedback focusing on bugs, security issues, performance problems. Be specific and provide code examples when possible. Give merge decisions.'
+  }, {
+    role: 'user',
+    content: `${prompt}\n\n${diff}`
+  }],
+  max_tokens: options.maxTokens,
+  temperature: options.temperature,
+  ...(options.schema && {
+    response_format: {
+      type: 'json_schema',
+      json_schema: { name: 'code_review', strict: true, schema: options.strictSchema }
+    }
+  })
+});
+
+/**
+ * Validate an OpenAI-style chat completion response
+ */
+const isOpenAIChatResponse = (data) => Array.isArray(data.choices) && data.choices.length > 0;
+
+/**
+ * Get the token usage of an OpenAI-style chat completion response
+ */
+const getOpenAIChatUsage = (data) => ({
+  inputTokens: data.usage?.prompt_tokens || 0,
+  outputTokens: data.usage?.completion_tokens || 0
+});
+
+/**
+ * LLM Provider configurations.
+ * Each provider owns its endpoint, auth, request/response mapping and response validation;
+ * the reviewer itself has no per-provider branches.
  */
 const LLM_PROVIDERS = {
   openai: {
     url: 'https://api.openai.com/v1/chat/completions',
     model: 'gpt-4o-mini',
+    apiKeyInput: 'openai_api_key',
+    apiKeyEnv: 'OPENAI_API_KEY',
     headers: (apiKey) => ({
       'Content-Type': 'application/json',
       'Authorization': `Bearer ${apiKey}`
     }),
-    body: (prompt, diff) => ({
-      model: 'gpt-4o-mini',
-      messages: [{
-        role: 'system',
-        content: 'You are a senior frontend engineer performing a code review. Provide detailed, actionable feedback focusing on bugs, security issues, performance problems. Be specific and provide code examples when possible. Give merge decisions.'
-      }, {
-        role: 'user',
-        content: `${prompt}\n\n${diff}`
-      }],
-      max_tokens: CONFIG.MAX_TOKENS,
-      temperature: CONFIG.TEMPERATURE
-    }),
-    extractResponse: (data) => data.choices[0].message.content
+    body: openAIChatBody,
+    validateResponse: isOpenAIChatResponse,
+    extractResponse: (data) => data.choices[0].message.content,
+    extractUsage: getOpenAIChatUsage
+  },
+  // Any endpoint speaking the OpenAI chat completions API: Azure OpenAI, vLLM, Ollama, LiteLLM, ...
+  openai_compatible: {
+    url: (endpoint) => {
+      const baseUrl = endpoint.baseUrl.replace(/\/+$/, '');
+      const url = endpoint.deployment
+        ? `${baseUrl}/openai/deployments/${encodeURIComponent(endpoint.deployment)}/chat/completions`
+        : `${baseUrl}/chat/completions`;
+      return endpoint.apiVersion ? `${url}?api-version=${encodeURIComponent(endpoint.apiVersion)}` : url;
+    },
+    model: '',
+    apiKeyInput: 'openai_api_key',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    requiresApiKey: false, // Self-hosted servers often run without authentication
+    headers: (apiKey, endpoint) => {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey && endpoint.authHeader === 'api-key') {
+        headers['api-key'] = apiKey;
+      } else if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+      }
+      return headers;
+    },
+    body: openAIChatBody,
+    validateResponse: isOpenAIChatResponse,
+    extractResponse: (data) => data.choices[0].message.content,
+    extractUsage: getOpenAIChatUsage
   },
   claude: {
     url: 'https://api.anthropic.com/v1/messages',
     model: 'claude-sonnet-4-20250514',
+    apiKeyInput: 'claude_api_key',
+    apiKeyEnv: 'CLAUDE_API_KEY',
     headers: (apiKey) => ({
       'Content-Type': 'application/json',
       'x-api-key': apiKey,
       'anthropic-version': '2023-06-01'
     }),
-    body: (prompt, diff) => ({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: CONFIG.MAX_TOKENS,
-      temperature: CONFIG.TEMPERATURE,
+    // Structured output is requested as a forced call of a tool whose input is the review
+    body: (prompt, diff, options) => ({
+      model: options.model,
+      max_tokens: options.maxTokens,
+      temperature: options.temperature,
       messages: [{
         role: 'user',
         content: `${prompt}\n\n${diff}`
-      }]
+      }],
+      ...(options.schema && {
+        tools: [{
+          name: 'submit_review',
+          description: 'Submit the code review findings as structured data.',
+          input_schema: options.schema
+        }],
+        tool_choice: { type: 'tool', name: 'submit_review' }
+      })
     }),
-    extractResponse: (data) => data.content[0].text
+    validateResponse: (data) => Array.isArray(data.content) && data.content.length > 0,
+    extractResponse: (data) => {
+      const toolUse = data.content.find(block => block.type === 'tool_use');
+      if (toolUse) {
+        return JSON.stringify(toolUse.input, null, 2);
+      }
+      return data.content.filter(block => block.type === 'text').map(block => block.text).join('');
+    },
+    extractUsage: (data) => ({
+      inputTokens: (data.usage?.input_tokens || 0) + (data.usage?.cache_creation_input_tokens || 0) + (data.usage?.cache_read_input_tokens || 0),
+      outputTokens: data.usage?.output_tokens || 0
+    })
+  },
+  gemini: {
+    url: (endpoint, options) => `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(options.model)}:generateContent`,
+    model: 'gemini-2.5-flash',
+    apiKeyInput: 'gemini_api_key',
+    apiKeyEnv: 'GEMINI_API_KEY',
+    headers: (apiKey) => ({
+      'Content-Type': 'application/json',
+      'x-goog-api-key': apiKey
+    }),
+    body: (prompt, diff, options) => ({
+      contents: [{
+        role: 'user',
+        parts: [{ text: `${prompt}\n\n${diff}` }]
+      }],
+      generationConfig: {
+        maxOutputTokens: options.maxTokens,
+        temperature: options.temperature,
+        // JSON mode only - the schema is enforced by validation and repair requests
+        ...(options.schema && { responseMimeType: 'application/json' })
+      }
+    }),
+    validateResponse: (data) => Array.isArray(data.candidates) && data.candidates.length > 0
+      && Array.isArray(data.candidates[0].content?.parts),
+    // Gemini answers safety blocks with HTTP 200: no candidates (blocked prompt) or a candidate without content
+    getBlockReason: (data) => {
+      if (data.promptFeedback?.blockReason) {
+        return `prompt blocked (${data.promptFeedback.blockReason})`;
+      }
+      const finishReason = data.candidates?.[0]?.finishReason;
+      if (['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII'].includes(finishReason)) {
+        return `response blocked (${finishReason})`;
+      }
+      return null;
+    },
+    extractResponse: (data) => data.candidates[0].content.parts.map(part => part.text || '').join(''),
+    // Thinking tokens are billed as output
+    extractUsage: (data) => ({
+      inputTokens: data.usageMetadata?.promptTokenCount || 0,
+      outputTokens: (data.usageMetadata?.candidatesTokenCount || 0) + (data.usageMetadata?.thoughtsTokenCount || 0)
+    })
   }
 };
 
+/**
+ * Context window (input + output tokens) per model.
+ * Keys are matched as prefixes so dated snapshots (e.g. gpt-4o-2024-08-06) resolve to their family;
+ * the longest matching key wins.
+ */
+const MODEL_CONTEXT_WINDOWS = {
+  'gpt-4o': 128000,
+  'gpt-4o-mini': 128000,
+  'gpt-4.1': 1047576,
+  'gpt-4-turbo': 128000,
+  'gpt-4': 8192,
+  'gpt-3.5-turbo': 16385,
+  'o1': 200000,
+  'o3': 200000,
+  'o4-mini': 200000,
+  'claude-opus-4': 200000,
+  'claude-sonnet-4': 200000,
+  'claude-3-7-sonnet': 200000,
+  'claude-3-5-sonnet': 200000,
+  'claude-3-5-haiku': 200000,
+  'claude-3-haiku': 200000,
+  'claude-3-opus': 200000,
+  'gemini-2.5-pro': 1048576,
+  'gemini-2.5-flash': 1048576,
+  'gemini-2.0-flash': 1048576,
+  'gemini-1.5-pro': 2097152,
+  'gemini-1.5-flash': 1048576
+};
+
+/**
+ * Tokenizer used to count the tokens of each model, matched by prefix like MODEL_CONTEXT_WINDOWS.
+ * OpenAI models are counted exactly with their BPE encoding; other models are approximated
+ * as `ratio` times the count of `encoding`, rounded up so chunks err on the small side.
+ */
+const MODEL_TOKENIZERS = {
+  'gpt-4o': { encoding: 'o200k_base' },
+  'gpt-4.1': { encoding: 'o200k_base' },
+  'gpt-5': { encoding: 'o200k_base' },
+  'o1': { encoding: 'o200k_base' },
+  'o3': { encoding: 'o200k_base' },
+  'o4-mini': { encoding: 'o200k_base' },
+  'gpt-4': { encoding: 'cl100k_base' },
+  'gpt-3.5-turbo': { encoding: 'cl100k_base' },
+  'claude-3': { encoding: 'cl100k_base', ratio: 1.15 },
+  'claude': { encoding: 'cl100k_base', ratio: 1.25 }
+};
+
+/**
+ * List price in USD per million input and output tokens, matched by prefix like MODEL_CONTEXT_WINDOWS.
+ * Used to estimate the cost of a review; models missing here (e.g. self-hosted) are reported as unpriced.
+ */
+const MODEL_PRICING = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-5': { input: 1.25, output: 10 },
+  'gpt-5-mini': { input: 0.25, output: 2 },
+  'gpt-5-nano': { input: 0.05, output: 0.4 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'o1': { input: 15, output: 60 },
+  'o3': { input: 2, output: 8 },
+  'o3-mini': { input: 1.1, output: 4.4 },
+  'o4-mini': { input: 1.1, output: 4.4 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.5-flash-lite': { input: 0.1, output: 0.4 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 }
+};
+
+/**
+ * Find the value of the longest key of a model table matching the model (exactly or as a prefix followed by "-")
+ */
+function findModelEntry(table, model) {
+  const key = Object.keys(table)
+    .filter(prefix => model === prefix || model.startsWith(`${prefix}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  
+  return key ? table[key] : undefined;
+}
+
+/**
+ * Get the context window of a model, falling back to CONFIG.DEFAULT_CONTEXT_WINDOW for unknown models
+ */
+function getModelContextWindow(model) {
+  return findModelEntry(MODEL_CONTEXT_WINDOWS, model) || CONFIG.DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Get the price of a model in USD per million tokens ({ input, output }), or null for unknown models
+ */
+function getModelPricing(model) {
+  return findModelEntry(MODEL_PRICING, model) || null;
+}
+
+/**
+ * Get the tokenizer of a model, falling back to CONFIG.DEFAULT_TOKENIZER for unknown models
+ */
+function getModelTokenizer(model) {
+  return findModelEntry(MODEL_TOKENIZERS, model) || CONFIG.DEFAULT_TOKENIZER;
+}
+
 /**
  * Language-specific review prompts
  */
@@ -476,14 +793,497 @@ PHP-specific checks (only if visible in diff)
 - Errors & Logging: exposing stack traces in production; logging sensitive data (tokens/PII); broad catch blocks hiding failures.
 - Workers/Queues/Schedulers: memory leaks from static caches/large arrays, unbounded retries, missing backoff/dead-letter handling.
 
+Context: Here are the code changes (diff or full files):`,
+
+  go: `Role & Goal
+You are a senior Go engineer (10+ years) reviewing only the provided diff/files for enterprise Go services (HTTP/gRPC APIs, workers, CLIs). Produce a single summary comment (no inline clutter) that highlights critical, hard-to-spot issues across Performance, Security, Maintainability, and Best Practices.
+
+Scope & Exclusions (very important)
+- Focus on critical risks: exploitable security flaws, meaningful performance regressions, memory/resource leaks, unsafe patterns, architectural violations.
+- Ignore style/formatting/naming/import order/gofmt/golint/go vet concerns, and any non-material preferences.
+- Do not assume code that is not shown. If essential context is missing, do NOT invent details: lower confidence and/or treat the point as a Suggestion.
+
+Severity Scoring (mandatory)
+For EACH issue, assign 0–5 scores:
+- impact
+- exploitability
+- likelihood
+- blast_radius
+- evidence_strength
+
+Compute:
+severity_score = 0.35*impact + 0.30*exploitability + 0.20*likelihood + 0.10*blast_radius + 0.05*evidence_strength
+
+Set "severity_proposed" using ONLY:
+- "critical" if severity_score ≥ 3.6 AND evidence_strength ≥ 3
+- otherwise "suggestion"
+
+Auto-critical overrides (regardless of score)
+- Command injection via exec.Command("sh", "-c", ...) or similar built from untrusted input.
+- Hard-coded secrets/credentials/API keys/private keys in source or configs.
+- SQL injection via fmt.Sprintf/string concatenation instead of placeholders (database/sql, sqlx, GORM Raw/Exec).
+- Goroutine leaks: goroutines blocked forever on channels/contexts, unbounded goroutine spawning per request, tickers never stopped.
+- Data races on shared maps/slices/struct fields without sync primitives (concurrent map writes crash the process).
+- TLS verification disabled (InsecureSkipVerify: true) or path traversal in file serving (filepath.Join with unsanitized input).
+- Missing CSRF protection on state-changing operations
+- XSS vulnerabilities through text/template or template.HTML with untrusted input
+
+Evidence Requirements (for EACH issue)
+- Provide: file (relative path), lines ([start,end]), a minimal snippet (≤15 lines), why_it_matters (1 sentence), fix (concise, code if helpful), tests (brief test), confidence ∈ [0,1].
+- Deduplicate repeated patterns: one issue with an "occurrences" array of {file, lines}.
+
+Final Policy
+- final_recommendation = "do_not_merge" if any issue ends up "critical" with confidence ≥ 0.6; else "safe_to_merge".
+
+Output Format (JSON first, then a short human summary)
+Return THIS JSON object followed by a brief human-readable summary:
+
+\`\`\`json
+{
+  "summary": "1–3 sentences overall assessment.",
+  "issues": [
+    {
+      "id": "SEC-01",
+      "category": "security|performance|maintainability|best_practices",
+      "severity_proposed": "critical|suggestion",
+      "severity_score": 0.0,
+      "risk_factors": {
+        "impact": 0,
+        "exploitability": 0,
+        "likelihood": 0,
+        "blast_radius": 0,
+        "evidence_strength": 0
+      },
+      "confidence": 0.0,
+      "file": "internal/user/service.go",
+      "lines": [120, 134],
+      "snippet": "<15-line minimal excerpt>",
+      "why_it_matters": "Concrete impact in 1 sentence.",
+      "fix": "Specific steps or code patch.",
+      "tests": "Brief test to prevent regression (e.g., table-driven test with go test -race).",
+      "occurrences": [
+        {"file": "internal/api/handler.go", "lines": [88, 95]}
+      ]
+    }
+  ],
+  "metrics": { "critical_count": 0, "suggestion_count": 0 },
+  "final_recommendation": "safe_to_merge|do_not_merge"
+}
+\`\`\`
+
+Then add a short human summary:
+- Summary of key issues by category (bullets, ≤6 lines):
+  • 🔒 Security issues
+  • ⚡ Performance issues
+  • 🛠️ Maintainability issues
+  • 📚 Best Practices issues
+
+Go-specific checks (only if visible in diff)
+- Errors: ignored errors (_ = ...); errors not wrapped with context (%w); panics used for control flow; missing recover in long-running goroutines.
+- Context & Concurrency: context.Context not propagated or ignored; missing cancel() calls; unbuffered channels causing deadlocks; WaitGroup misuse; mutex copied by value.
+- HTTP & I/O: http.Client without Timeout; http.DefaultClient in production paths; resp.Body not closed; large bodies read without io.LimitReader; missing server read/write timeouts.
+- Resources: defer inside loops holding files/connections; rows.Close()/rows.Err() missing; sql.DB connection pool limits not set.
+- Performance: repeated allocations in hot loops; string concatenation in loops instead of strings.Builder; N+1 queries.
+- Security & Crypto: math/rand for tokens instead of crypto/rand; weak hashes (md5/sha1) for passwords; logging secrets/PII.
+
+Context: Here are the code changes (diff or full files):`,
+
+  kotlin: `Role & Goal
+You are a senior Kotlin engineer (10+ years) reviewing only the provided diff/files for enterprise Kotlin apps (Spring Boot/Ktor backends and Android clients). Produce a single summary comment (no inline clutter) that highlights critical, hard-to-spot issues across Performance, Security, Maintainability, and Best Practices.
+
+Scope & Exclusions (very important)
+- Focus on critical risks: exploitable security flaws, meaningful performance regressions, memory/resource leaks, unsafe patterns, architectural violations.
+- Ignore style/formatting/naming/import order/ktlint/detekt concerns, and any non-material preferences.
+- Do not assume code that is not shown. If essential context is missing, do NOT invent details: lower confidence and/or treat the point as a Suggestion.
+
+Severity Scoring (mandatory)
+For EACH issue, assign 0–5 scores:
+- impact
+- exploitability
+- likelihood
+- blast_radius
+- evidence_strength
+
+Compute:
+severity_score = 0.35*impact + 0.30*exploitability + 0.20*likelihood + 0.10*blast_radius + 0.05*evidence_strength
+
+Set "severity_proposed" using ONLY:
+- "critical" if severity_score ≥ 3.6 AND evidence_strength ≥ 3
+- otherwise "suggestion"
+
+Auto-critical overrides (regardless of score)
+- Unsafe deserialization / code execution on untrusted input (e.g., ObjectInputStream, Jackson default typing, dynamic class loading from user input).
+- Hard-coded secrets/credentials/API keys/private keys in source, build scripts or resources.
+- SQL injection via string templates/concatenation (Exposed/JDBC/JPA native queries) instead of parameter binding.
+- Coroutine leaks: GlobalScope launches, unbounded launch/async per request, scopes never cancelled, blocking calls (Thread.sleep, blocking I/O) on Dispatchers.Main or Default.
+- Command injection via Runtime.exec/ProcessBuilder with untrusted input.
+- Android: exported components without permissions, WebView with JavaScript enabled loading untrusted content, sensitive data in SharedPreferences/logs.
+- Missing CSRF protection on state-changing operations
+- XSS vulnerabilities through unescaped user input in responses/templates
+
+Evidence Requirements (for EACH issue)
+- Provide: file (relative path), lines ([start,end]), a minimal snippet (≤15 lines), why_it_matters (1 sentence), fix (concise, code if helpful), tests (brief test), confidence ∈ [0,1].
+- Deduplicate repeated patterns: one issue with an "occurrences" array of {file, lines}.
+
+Final Policy
+- final_recommendation = "do_not_merge" if any issue ends up "critical" with confidence ≥ 0.6; else "safe_to_merge".
+
+Output Format (JSON first, then a short human summary)
+Return THIS JSON object followed by a brief human-readable summary:
+
+\`\`\`json
+{
+  "summary": "1–3 sentences overall assessment.",
+  "issues": [
+    {
+      "id": "SEC-01",
+      "category": "security|performance|maintainability|best_practices",
+      "severity_proposed": "critical|suggestion",
+      "severity_score": 0.0,
+      "risk_factors": {
+        "impact": 0,
+        "exploitability": 0,
+        "likelihood": 0,
+        "blast_radius": 0,
+        "evidence_strength": 0
+      },
+      "confidence": 0.0,
+      "file": "src/main/kotlin/com/example/user/UserService.kt",
+      "lines": [120, 134],
+      "snippet": "<15-line minimal excerpt>",
+      "why_it_matters": "Concrete impact in 1 sentence.",
+      "fix": "Specific steps or code patch.",
+      "tests": "Brief test to prevent regression (e.g., JUnit5/Kotest + MockK).",
+      "occurrences": [
+        {"file": "src/main/kotlin/com/example/api/UserController.kt", "lines": [88, 95]}
+      ]
+    }
+  ],
+  "metrics": { "critical_count": 0, "suggestion_count": 0 },
+  "final_recommendation": "safe_to_merge|do_not_merge"
+}
+\`\`\`
+
+Then add a short human summary:
+- Summary of key issues by category (bullets, ≤6 lines):
+  • 🔒 Security issues
+  • ⚡ Performance issues
+  • 🛠️ Maintainability issues
+  • 📚 Best Practices issues
+
+Kotlin-specific checks (only if visible in diff)
+- Null safety: !! on values that can be null; platform types from Java APIs used without null checks; lateinit accessed before init.
+- Coroutines: missing structured concurrency; runBlocking in request handlers; swallowed CancellationException; exceptions lost in async without await; missing withContext(Dispatchers.IO) for blocking work.
+- Web & REST (Spring/Ktor): missing authn/authz on endpoints; permissive CORS; unvalidated request bodies; exposing stack traces.
+- DB & ORM: N+1 queries; missing transactions for multi-step writes; EAGER fetching on large graphs.
+- I/O & HTTP clients: no timeouts/retries (OkHttp/Ktor client/WebClient); TLS verification disabled; streams not closed (missing use {}).
+- Android: work on the main thread; leaking Activity/Context in singletons or long-lived callbacks; lifecycle-unaware collectors.
+
+Context: Here are the code changes (diff or full files):`,
+
+  csharp: `Role & Goal
+You are a senior C# engineer (10+ years) reviewing only the provided diff/files for enterprise .NET apps (ASP.NET Core/Web APIs/worker services). Produce a single summary comment (no inline clutter) that highlights critical, hard-to-spot issues across Performance, Security, Maintainability, and Best Practices.
+
+Scope & Exclusions (very important)
+- Focus on critical risks: exploitable security flaws, meaningful performance regressions, memory/resource leaks, unsafe patterns, architectural violations.
+- Ignore style/formatting/naming/using order/StyleCop/analyzer concerns, and any non-material preferences.
+- Do not assume code that is not shown. If essential context is missing, do NOT invent details: lower confidence and/or treat the point as a Suggestion.
+
+Severity Scoring (mandatory)
+For EACH issue, assign 0–5 scores:
+- impact
+- exploitability
+- likelihood
+- blast_radius
+- evidence_strength
+
+Compute:
+severity_score = 0.35*impact + 0.30*exploitability + 0.20*likelihood + 0.10*blast_radius + 0.05*evidence_strength
+
+Set "severity_proposed" using ONLY:
+- "critical" if severity_score ≥ 3.6 AND evidence_strength ≥ 3
+- otherwise "suggestion"
+
+Auto-critical overrides (regardless of score)
+- Unsafe deserialization on untrusted input (e.g., BinaryFormatter, Newtonsoft TypeNameHandling other than None, XmlSerializer with untrusted types).
+- Hard-coded secrets/credentials/API keys/connection strings in source or appsettings committed to the repo.
+- SQL injection via string concatenation/interpolation (SqlCommand, FromSqlRaw, ExecuteSqlRaw) instead of parameters.
+- Command injection via Process.Start with untrusted input.
+- XXE / XML parsers with DtdProcessing enabled or XmlResolver set on untrusted input.
+- Resource leaks or unbounded growth: IDisposable not disposed (missing using), HttpClient created per request (socket exhaustion), static caches without eviction.
+- Missing CSRF protection ([ValidateAntiForgeryToken]) on state-changing operations
+- XSS vulnerabilities through Html.Raw/unencoded user input in Razor views
+
+Evidence Requirements (for EACH issue)
+- Provide: file (relative path), lines ([start,end]), a minimal snippet (≤15 lines), why_it_matters (1 sentence), fix (concise, code if helpful), tests (brief test), confidence ∈ [0,1].
+- Deduplicate repeated patterns: one issue with an "occurrences" array of {file, lines}.
+
+Final Policy
+- final_recommendation = "do_not_merge" if any issue ends up "critical" with confidence ≥ 0.6; else "safe_to_merge".
+
+Output Format (JSON first, then a short human summary)
+Return THIS JSON object followed by a brief human-readable summary:
+
+\`\`\`json
+{
+  "summary": "1–3 sentences overall assessment.",
+  "issues": [
+    {
+      "id": "SEC-01",
+      "category": "security|performance|maintainability|best_practices",
+      "severity_proposed": "critical|suggestion",
+      "severity_score": 0.0,
+      "risk_factors": {
+        "impact": 0,
+        "exploitability": 0,
+        "likelihood": 0,
+        "blast_radius": 0,
+        "evidence_strength": 0
+      },
+      "confidence": 0.0,
+      "file": "src/Example.Api/Services/UserService.cs",
+      "lines": [120, 134],
+      "snippet": "<15-line minimal excerpt>",
+      "why_it_matters": "Concrete impact in 1 sentence.",
+      "fix": "Specific steps or code patch.",
+      "tests": "Brief test to prevent regression (e.g., xUnit + WebApplicationFactory).",
+      "occurrences": [
+        {"file": "src/Example.Api/Controllers/UserController.cs", "lines": [88, 95]}
+      ]
+    }
+  ],
+  "metrics": { "critical_count": 0, "suggestion_count": 0 },
+  "final_recommendation": "safe_to_merge|do_not_merge"
+}
+\`\`\`
+
+Then add a short human summary:
+- Summary of key issues by category (bullets, ≤6 lines):
+  • 🔒 Security issues
+  • ⚡ Performance issues
+  • 🛠️ Maintainability issues
+  • 📚 Best Practices issues
+
+C#-specific checks (only if visible in diff)
+- Async: async void outside event handlers; .Result/.Wait() causing deadlocks or thread-pool starvation; missing ConfigureAwait where required; CancellationToken not propagated.
+- ASP.NET Core: missing [Authorize]/policy checks; overly permissive CORS; model binding without validation (over-posting); detailed errors/developer exception page in production.
+- EF Core & Data: N+1 queries (missing Include); tracking queries for read-only paths; missing transactions for multi-step writes; client-side evaluation of large sets.
+- I/O & HTTP clients: HttpClient without IHttpClientFactory/timeouts/Polly retries; TLS validation disabled (ServerCertificateCustomValidationCallback returning true).
+- Security & Crypto: MD5/SHA1 for passwords; System.Random for tokens instead of RandomNumberGenerator; logging secrets/PII.
+- Errors: catch (Exception) swallowing failures; throw ex instead of throw losing stack traces.
+
+Context: Here are the code changes (diff or full files):`,
+
+  ruby: `Role & Goal
+You are a senior Ruby engineer (10+ years) reviewing only the provided diff/files for enterprise Ruby apps (Rails/Sinatra/Sidekiq workers). Produce a single summary comment (no inline clutter) that highlights critical, hard-to-spot issues across Performance, Security, Maintainability, and Best Practices.
+
+Scope & Exclusions (very important)
+- Focus on critical risks: exploitable security flaws, meaningful performance regressions, memory/resource leaks, unsafe patterns, architectural violations.
+- Ignore style/formatting/naming/require order/RuboCop concerns, and any non-material preferences.
+- Do not assume code that is not shown. If essential context is missing, do NOT invent details: lower confidence and/or treat the point as a Suggestion.
+
+Severity Scoring (mandatory)
+For EACH issue, assign 0–5 scores:
+- impact
+- exploitability
+- likelihood
+- blast_radius
+- evidence_strength
+
+Compute:
+severity_score = 0.35*impact + 0.30*exploitability + 0.20*likelihood + 0.10*blast_radius + 0.05*evidence_strength
+
+Set "severity_proposed" using ONLY:
+- "critical" if severity_score ≥ 3.6 AND evidence_strength ≥ 3
+- otherwise "suggestion"
+
+Auto-critical overrides (regardless of score)
+- Code execution/deserialization on untrusted input (e.g., eval, instance_eval, send/public_send with user-controlled method names, Marshal.load, YAML.load instead of YAML.safe_load).
+- Hard-coded secrets/credentials/API keys/private keys in source or committed configs (credentials not in Rails credentials/ENV).
+- SQL injection via string interpolation in where/order/find_by_sql/execute instead of bound parameters.
+- Command injection via system/exec/backticks/%x/Open3 with interpolated untrusted input.
+- Mass assignment: params used without strong parameters (permit!), or update/create with raw params.
+- Unbounded memory/resource growth in long-running processes (Sidekiq/Puma): class-level caches, leaked threads, files/sockets not closed.
+- Missing CSRF protection (skip_forgery_protection/protect_from_forgery disabled) on state-changing operations
+- XSS vulnerabilities through html_safe/raw/<%== %> with untrusted input
+
+Evidence Requirements (for EACH issue)
+- Provide: file (relative path), lines ([start,end]), a minimal snippet (≤15 lines), why_it_matters (1 sentence), fix (concise, code if helpful), tests (brief test), confidence ∈ [0,1].
+- Deduplicate repeated patterns: one issue with an "occurrences" array of {file, lines}.
+
+Final Policy
+- final_recommendation = "do_not_merge" if any issue ends up "critical" with confidence ≥ 0.6; else "safe_to_merge".
+
+Output Format (JSON first, then a short human summary)
+Return THIS JSON object followed by a brief human-readable summary:
+
+\`\`\`json
+{
+  "summary": "1–3 sentences overall assessment.",
+  "issues": [
+    {
+      "id": "SEC-01",
+      "category": "security|performance|maintainability|best_practices",
+      "severity_proposed": "critical|suggestion",
+      "severity_score": 0.0,
+      "risk_factors": {
+        "impact": 0,
+        "exploitability": 0,
+        "likelihood": 0,
+        "blast_radius": 0,
+        "evidence_strength": 0
+      },
+      "confidence": 0.0,
+      "file": "app/services/user_service.rb",
+      "lines": [120, 134],
+      "snippet": "<15-line minimal excerpt>",
+      "why_it_matters": "Concrete impact in 1 sentence.",
+      "fix": "Specific steps or code patch.",
+      "tests": "Brief test to prevent regression (e.g., RSpec request spec).",
+      "occurrences": [
+        {"file": "app/controllers/users_controller.rb", "lines": [88, 95]}
+      ]
+    }
+  ],
+  "metrics": { "critical_count": 0, "suggestion_count": 0 },
+  "final_recommendation": "safe_to_merge|do_not_merge"
+}
+\`\`\`
+
+Then add a short human summary:
+- Summary of key issues by category (bullets, ≤6 lines):
+  • 🔒 Security issues
+  • ⚡ Performance issues
+  • 🛠️ Maintainability issues
+  • 📚 Best Practices issues
+
+Ruby-specific checks (only if visible in diff)
+- Rails: missing authentication/authorization (before_action, Pundit/CanCan policies); unscoped finds allowing IDOR (Model.find(params[:id]) instead of current_user.models.find); open redirects (redirect_to params[:url]).
+- ActiveRecord: N+1 queries (missing includes/preload); missing transactions for multi-step writes; callbacks with external side effects; loading large tables with .all instead of find_each.
+- Background jobs: non-idempotent jobs with retries; passing full objects instead of IDs; unbounded retries without backoff.
+- I/O & HTTP clients: Net::HTTP/Faraday without timeouts; verify_mode VERIFY_NONE; large files read fully into memory.
+- Security & Crypto: Digest::MD5/SHA1 for passwords; rand/Random for tokens instead of SecureRandom; logging secrets/PII (missing filter_parameters).
+- Errors: rescue Exception or bare rescue swallowing failures.
+
+Context: Here are the code changes (diff or full files):`,
+
+  rust: `Role & Goal
+You are a senior Rust engineer (10+ years) reviewing only the provided diff/files for enterprise Rust services (async web services with tokio/axum/actix, CLIs, libraries). Produce a single summary comment (no inline clutter) that highlights critical, hard-to-spot issues across Performance, Security, Maintainability, and Best Practices.
+
+Scope & Exclusions (very important)
+- Focus on critical risks: exploitable security flaws, meaningful performance regressions, memory/resource leaks, unsafe patterns, architectural violations.
+- Ignore style/formatting/naming/use order/rustfmt/clippy concerns, and any non-material preferences.
+- Do not assume code that is not shown. If essential context is missing, do NOT invent details: lower confidence and/or treat the point as a Suggestion.
+
+Severity Scoring (mandatory)
+For EACH issue, assign 0–5 scores:
+- impact
+- exploitability
+- likelihood
+- blast_radius
+- evidence_strength
+
+Compute:
+severity_score = 0.35*impact + 0.30*exploitability + 0.20*likelihood + 0.10*blast_radius + 0.05*evidence_strength
+
+Set "severity_proposed" using ONLY:
+- "critical" if severity_score ≥ 3.6 AND evidence_strength ≥ 3
+- otherwise "suggestion"
+
+Auto-critical overrides (regardless of score)
+- unsafe blocks without a documented, sound invariant (aliasing violations, unchecked pointer arithmetic, transmute, uninitialized memory, unsound Send/Sync impls).
+- Hard-coded secrets/credentials/API keys/private keys in source or configs.
+- SQL injection via format!/string concatenation instead of bound parameters (sqlx/diesel raw queries).
+- Command injection via std::process::Command running a shell (sh -c) with untrusted input.
+- Panics reachable from untrusted input in services (unwrap/expect/indexing/slicing/integer overflow in release-sensitive paths) causing denial of service.
+- Blocking calls (std::fs, std::thread::sleep, blocking HTTP/DB clients, heavy CPU work) inside async tasks without spawn_blocking, or unbounded channels/task spawning causing memory growth.
+- Missing CSRF protection on state-changing operations
+- XSS vulnerabilities through unescaped user input in templates/HTML
+
+Evidence Requirements (for EACH issue)
+- Provide: file (relative path), lines ([start,end]), a minimal snippet (≤15 lines), why_it_matters (1 sentence), fix (concise, code if helpful), tests (brief test), confidence ∈ [0,1].
+- Deduplicate repeated patterns: one issue with an "occurrences" array of {file, lines}.
+
+Final Policy
+- final_recommendation = "do_not_merge" if any issue ends up "critical" with confidence ≥ 0.6; else "safe_to_merge".
+
+Output Format (JSON first, then a short human summary)
+Return THIS JSON object followed by a brief human-readable summary:
+
+\`\`\`json
+{
+  "summary": "1–3 sentences overall assessment.",
+  "issues": [
+    {
+      "id": "SEC-01",
+      "category": "security|performance|maintainability|best_practices",
+      "severity_proposed": "critical|suggestion",
+      "severity_score": 0.0,
+      "risk_factors": {
+        "impact": 0,
+        "exploitability": 0,
+        "likelihood": 0,
+        "blast_radius": 0,
+        "evidence_strength": 0
+      },
+      "confidence": 0.0,
+      "file": "src/services/user_service.rs",
+      "lines": [120, 134],
+      "snippet": "<15-line minimal excerpt>",
+      "why_it_matters": "Concrete impact in 1 sentence.",
+      "fix": "Specific steps or code patch.",
+      "tests": "Brief test to prevent regression (e.g., #[tokio::test] or property test).",
+      "occurrences": [
+        {"file": "src/api/users.rs", "lines": [88, 95]}
+      ]
+    }
+  ],
+  "metrics": { "critical_count": 0, "suggestion_count": 0 },
+  "final_recommendation": "safe_to_merge|do_not_merge"
+}
+\`\`\`
+
+Then add a short human summary:
+- Summary of key issues by category (bullets, ≤6 lines):
+  • 🔒 Security issues
+  • ⚡ Performance issues
+  • 🛠️ Maintainability issues
+  • 📚 Best Practices issues
+
+Rust-specific checks (only if visible in diff)
+- Error handling: unwrap/expect in library or request paths; errors discarded with let _ =; missing context on errors (anyhow::Context); panics across FFI boundaries.
+- Async & Concurrency: holding std::sync::Mutex guards across .await; deadlocks from lock ordering; tasks spawned without join/cancellation handling; missing timeouts on network calls.
+- Memory & Performance: unnecessary clone() of large data in hot paths; collecting iterators just to iterate again; unbounded Vec/HashMap growth; Arc<Mutex<..>> contention on hot paths.
+- Web (axum/actix/warp): missing authn/authz extractors; unbounded request body sizes; permissive CORS; leaking internal error details in responses.
+- Security & Crypto: rand::thread_rng for secrets instead of a CSPRNG designed for keys (OsRng); custom crypto; TLS verification disabled (danger_accept_invalid_certs).
+
 Context: Here are the code changes (diff or full files):`
 };
 
 /**
- * Get review prompt for specific language
+ * Get review prompt for specific language, optionally with project guidelines
+ * inserted before the trailing code context line
  */
-function getReviewPrompt(language) {
-  return LANGUAGE_PROMPTS[language] || LANGUAGE_PROMPTS.js; // Default to JS if language not found
+function getReviewPrompt(language, guidelines = '') {
+  const prompt = LANGUAGE_PROMPTS[language] || LANGUAGE_PROMPTS.js; // Default to JS if language not found
+  
+  if (!guidelines) {
+    return prompt;
+  }
+  
+  const contextIndex = prompt.lastIndexOf('Context: Here are the code changes');
+  const section = `Project Guidelines (repository-specific rules, they take precedence over generic advice)
+- Report each violation of a rule below as an issue with a "rule" field set to the rule id (e.g., "rule": "G-01").
+- Rules marked (BLOCKING) must be reported with severity_proposed "critical"; all other rules with "suggestion".
+- Only report violations that are visible in the diff.
+
+${guidelines.trim()}
+
+`;
+  
+  return contextIndex === -1
+    ? `${prompt}\n\n${section}`
+    : `${prompt.substring(0, contextIndex)}${section}${prompt.substring(contextIndex)}`;
 }
 
  /**
@@ -504,6 +1304,13 @@ function getReviewPrompt(language) {
     'pyi': 'python',
     'java': 'java',
     'php': 'php',
+    'go': 'go',
+    'kt': 'kotlin',
+    'kts': 'kotlin',
+    'cs': 'csharp',
+    'rb': 'ruby',
+    'rake': 'ruby',
+    'rs': 'rust',
     'html': 'html',
     'css': 'css',
     'scss': 'scss',
@@ -526,7 +1333,13 @@ function getReviewPrompt(language) {
 module.exports = {
   CONFIG,
   LLM_PROVIDERS,
+  MODEL_CONTEXT_WINDOWS,
+  MODEL_TOKENIZERS,
+  MODEL_PRICING,
   LANGUAGE_PROMPTS,
   getReviewPrompt,
-  getLanguageForFile
+  getLanguageForFile,
+  getModelContextWindow,
+  getModelTokenizer,
+  getModelPricing
 };
@@ -0,0 +1,368 @@
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('./constants');
+
+const RESOLVE_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.d.ts'];
+const CONFIG_FILES = ['tsconfig.json', 'jsconfig.json'];
+
+/**
+ * Parse JSON with comments and trailing commas (the tsconfig.json dialect)
+ */
+function parseJsonc(text) {
+  const withoutComments = text.replace(/("(?:\\.|[^"\\])*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string || '');
+  return JSON.parse(withoutComments.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+/**
+ * Get the names imported by a clause such as `Default, { a, b as c }` or `* as ns`.
+ * Default imports are named 'default' and namespace imports '*'.
+ */
+function parseImportClause(clause) {
+  const names = [];
+  const braces = clause.match(/\{([^}]*)\}/);
+
+  if (braces) {
+    braces[1].split(',')
+      .map(item => item.trim().replace(/^type\s+/, '').split(/\s+as\s+|\s*:\s*/)[0])
+      .filter(Boolean)
+      .forEach(name => names.push(name));
+  }
+
+  const rest = clause.replace(/\{[^}]*\}/, '').replace(/^type\s+/, '');
+  if (/\*\s*as\s+[\w$]+/.test(rest)) {
+    names.push('*');
+  } else if (/^\s*[A-Za-z_$][\w$]*/.test(rest)) {
+    names.push('default');
+  }
+
+  return names;
+}
+
+/**
+ * Find the static imports and require calls of a module, with the names they import
+ */
+function parseImports(source) {
+  const imports = [];
+  const patterns = [
+    /\bimport\s+([^'";]*?)\s+from\s+['"]([^'"]+)['"]/g,
+    /\b(?:const|let|var)\s+([^=;]+?)\s*=\s*require\(\s*['"]([^'"]+)['"]\s*\)/g
+  ];
+
+  patterns.forEach((pattern, index) => {
+    for (const [, clause, specifier] of source.matchAll(pattern)) {
+      // `const api = require('./api')` uses the whole module, like a namespace import
+      const names = index === 1 && !clause.includes('{') ? ['*'] : parseImportClause(clause);
+      if (names.length > 0) {
+        imports.push({ specifier, names });
+      }
+    }
+  });
+
+  return imports;
+}
+
+/**
+ * Create a resolver for import specifiers of files in rootDir: relative paths, tsconfig/jsconfig
+ * `paths` and `baseUrl` (following `extends`). Packages and files outside rootDir resolve to null.
+ * Resolved paths are relative to rootDir.
+ */
+function createImportResolver(rootDir) {
+  const configCache = new Map();
+
+  // Load compiler options of a config file, merged over the options of the config it extends
+  const loadCompilerOptions = (configPath, depth = 0) => {
+    const config = parseJsonc(fs.readFileSync(configPath, 'utf8'));
+    const configDir = path.dirname(configPath);
+    let options = {};
+
+    if (typeof config.extends === 'string' && config.extends.startsWith('.') && depth < CONFIG.IMPORT_CONTEXT_MAX_DEPTH) {
+      const extendsPath = path.resolve(configDir, config.extends.endsWith('.json') ? config.extends : `${config.extends}.json`);
+      if (fs.existsSync(extendsPath)) {
+        options = loadCompilerOptions(extendsPath, depth + 1);
+      }
+    }
+
+    const own = config.compilerOptions || {};
+    return {
+      ...options,
+      ...(own.baseUrl !== undefined && { baseUrl: path.resolve(configDir, own.baseUrl) }),
+      ...(own.paths && { paths: own.paths, pathsDir: own.baseUrl !== undefined ? path.resolve(configDir, own.baseUrl) : configDir })
+    };
+  };
+
+  // Find the nearest tsconfig.json/jsconfig.json between a directory and rootDir
+  const findCompilerOptions = (dir) => {
+    if (configCache.has(dir)) {
+      return configCache.get(dir);
+    }
+
+    let options = null;
+    const configPath = CONFIG_FILES.map(name => path.join(dir, name)).find(candidate => fs.existsSync(candidate));
+    if (configPath) {
+      try {
+        options = loadCompilerOptions(configPath);
+      } catch {
+        options = null; // Unparseable config files only disable alias resolution
+      }
+    } else if (path.relative(rootDir, dir) !== '') {
+      options = findCompilerOptions(path.dirname(dir));
+    }
+
+    configCache.set(dir, options);
+    return options;
+  };
+
+  // Find the file an import points to, trying TypeScript/JavaScript extensions and index files
+  const resolveFile = (target) => {
+    const relative = path.relative(rootDir, target);
+    if (relative.startsWith('..') || path.isAbsolute(relative) || relative.split(path.sep).includes('node_modules')) {
+      return null;
+    }
+
+    const base = target.replace(/\.(c|m)?js$/, ''); // ESM TypeScript imports name the emitted .js file
+    const candidates = [
+      target,
+      ...RESOLVE_EXTENSIONS.map(ext => `${base}${ext}`),
+      ...RESOLVE_EXTENSIONS.map(ext => path.join(target, `index${ext}`))
+    ];
+    const file = candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+    return file ? path.relative(rootDir, file) : null;
+  };
+
+  return (specifier, fromFile) => {
+    const fromDir = path.dirname(path.resolve(rootDir, fromFile));
+    if (specifier.startsWith('.')) {
+      return resolveFile(path.resolve(fromDir, specifier));
+    }
+
+    const options = findCompilerOptions(fromDir);
+    if (!options) {
+      return null;
+    }
+
+    for (const [pattern, targets] of Object.entries(options.paths || {})) {
+      const [prefix, suffix = ''] = pattern.split('*');
+      const matches = pattern.includes('*')
+        ? specifier.startsWith(prefix) && specifier.endsWith(suffix) && specifier.length >= prefix.length + suffix.length
+        : specifier === pattern;
+      if (!matches) {
+        continue;
+      }
+
+      const wildcard = specifier.substring(prefix.length, specifier.length - suffix.length);
+      for (const target of [].concat(targets)) {
+        const file = resolveFile(path.resolve(options.pathsDir, target.replace('*', wildcard)));
+        if (file) {
+          return file;
+        }
+      }
+    }
+
+    return options.baseUrl ? resolveFile(path.resolve(options.baseUrl, specifier)) : null;
+  };
+}
+
+/**
+ * Get the JSDoc comment directly above a position, or ''
+ */
+function getLeadingJsDoc(source, start) {
+  const before = source.substring(0, start).replace(/\s+$/, '');
+  if (!before.endsWith('*/')) {
+    return '';
+  }
+
+  const open = before.lastIndexOf('/**');
+  const comment = open === -1 ? '' : before.substring(open);
+  return comment && !comment.substring(3, comment.length - 2).includes('*/') ? `${comment}\n` : '';
+}
+
+/**
+ * Check whether a type alias continues after a line break, e.g. `type A =` followed by `| 'a'` lines
+ */
+function isTypeContinued(source, start, lineEnd) {
+  return /[=|&]\s*$/.test(source.substring(start, lineEnd)) || /^\s*[|&]/.test(source.substring(lineEnd + 1));
+}
+
+/**
+ * Extract the signature of a declaration: the header of functions and classes, the full body of
+ * type declarations (up to CONFIG.IMPORT_CONTEXT_MAX_DECLARATION_LINES lines) and the first
+ * line of variables, or up to the arrow of arrow functions
+ */
+function extractSignature(source, start, kind) {
+  const isType = ['interface', 'type', 'enum'].includes(kind);
+  let depth = 0;
+  let seenParams = false;
+  let end = source.length;
+
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+    if (char === '"' || char === "'" || char === '`') {
+      const close = source.indexOf(char, i + 1);
+      i = close === -1 ? source.length : close;
+      continue;
+    }
+    if ('([{'.includes(char)) {
+      if (char === '{' && depth === 0 && !isType && (kind !== 'function' || seenParams)) {
+        end = i; // Body of a function or class
+        break;
+      }
+      depth++;
+    } else if (')]}'.includes(char)) {
+      depth--;
+      seenParams = seenParams || (char === ')' && depth === 0);
+      if (isType && char === '}' && depth === 0 && kind !== 'type') {
+        end = i + 1;
+        break;
+      }
+    } else if (depth === 0 && char === ';') {
+      end = isType ? i + 1 : i;
+      break;
+    } else if (depth === 0 && !isType && source.startsWith('=>', i)) {
+      end = i + 2;
+      break;
+    } else if (depth === 0 && char === '\n' && !['function', 'class'].includes(kind) && !(kind === 'type' && isTypeContinued(source, start, i))) {
+      end = i;
+      break;
+    }
+  }
+
+  const lines = source.substring(start, end).trim().split('\n');
+  if (lines.length > CONFIG.IMPORT_CONTEXT_MAX_DECLARATION_LINES) {
+    return [...lines.slice(0, CONFIG.IMPORT_CONTEXT_MAX_DECLARATION_LINES), '  // ...'].join('\n');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Index the declarations and exports of a module: exported name -> local declaration,
+ * plus re-exports from other modules
+ */
+function parseExports(source) {
+  const declarations = {};
+  const exported = {};
+  const reexports = [];
+
+  const declarationPattern = /^(export\s+(default\s+)?)?(?:declare\s+)?(?:async\s+)?(?:abstract\s+)?(function\*?|class|const|let|var|interface|type|enum)\s+([A-Za-z_$][\w$]*)/gm;
+  for (const match of source.matchAll(declarationPattern)) {
+    const [, exportKeyword, defaultKeyword, kind, name] = match;
+    const declaration = { start: match.index, kind: kind.replace('*', '') };
+    declarations[name] = declarations[name] || declaration;
+    if (exportKeyword) {
+      exported[defaultKeyword ? 'default' : name] = declaration;
+    }
+  }
+
+  // export default function () {...} / export default class {...}
+  const anonymousDefault = source.match(/^export\s+default\s+(?:async\s+)?(function|class)\b(?!\s*\*?\s*[A-Za-z_$])/m);
+  if (anonymousDefault) {
+    exported.default = { start: anonymousDefault.index, kind: anonymousDefault[1] };
+  }
+
+  // export default name; / module.exports = name;
+  for (const [, name] of source.matchAll(/^(?:export\s+default|module\.exports\s*=)\s+([A-Za-z_$][\w$]*)\s*;?\s*$/gm)) {
+    if (declarations[name]) {
+      exported.default = declarations[name];
+      exported['*'] = declarations[name];
+    }
+  }
+
+  // export { a, b as c }; / module.exports = { a, b: c };
+  for (const [, list] of source.matchAll(/^(?:export|module\.exports\s*=)\s*\{([^}]*)\}\s*(?!\s*from)/gm)) {
+    list.split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+      const [local, alias] = item.replace(/^type\s+/, '').split(/\s+as\s+|\s*:\s*/);
+      if (declarations[local]) {
+        exported[(alias || local).trim()] = declarations[local];
+      }
+    });
+  }
+
+  // exports.name = ... / module.exports.name = ...
+  for (const match of source.matchAll(/^(?:module\.)?exports\.([A-Za-z_$][\w$]*)\s*=/gm)) {
+    exported[match[1]] = { start: match.index, kind: 'const' };
+  }
+
+  // export * from './x' / export { a, b as c } from './x'
+  for (const [, clause, specifier] of source.matchAll(/^export\s+(?:type\s+)?(\*|\{[^}]*\})\s+from\s+['"]([^'"]+)['"]/gm)) {
+    if (clause === '*') {
+      reexports.push({ specifier, names: null });
+    } else {
+      const names = {};
+      clause.slice(1, -1).split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+        const [local, alias] = item.replace(/^type\s+/, '').split(/\s+as\s+/);
+        names[(alias || local).trim()] = local.trim();
+      });
+      reexports.push({ specifier, names });
+    }
+  }
+
+  return { exported, reexports };
+}
+
+/**
+ * Collect the declarations of the given names exported by a module, following re-exports
+ * up to CONFIG.IMPORT_CONTEXT_MAX_DEPTH modules deep. `visited` records the module lookups done
+ * (so re-export cycles end) and the declarations already collected, keyed by file and position,
+ * so a declaration reached through several imports or aliases is returned once.
+ */
+function collectModuleDeclarations(modulePath, names, resolve, rootDir, depth, visited) {
+  const key = `${modulePath}:${names.join(',')}`;
+  if (depth > CONFIG.IMPORT_CONTEXT_MAX_DEPTH || visited.lookups.has(key)) {
+    return [];
+  }
+  visited.lookups.add(key);
+
+  const source = fs.readFileSync(path.resolve(rootDir, modulePath), 'utf8');
+  const { exported, reexports } = parseExports(source);
+  const wanted = names.includes('*') ? Object.keys(exported).filter(name => name !== '*') : names;
+  const results = [];
+
+  wanted.forEach(name => {
+    const declaration = exported[name];
+    const declarationKey = declaration && `${modulePath}:${declaration.start}`;
+    if (declaration && !visited.declarations.has(declarationKey)) {
+      visited.declarations.add(declarationKey);
+      results.push({
+        file: modulePath,
+        name,
+        text: `${getLeadingJsDoc(source, declaration.start)}${extractSignature(source, declaration.start, declaration.kind)}`
+      });
+    }
+  });
+
+  // Names not declared here may come from re-exports (barrel files)
+  const missing = names.includes('*') ? ['*'] : names.filter(name => !exported[name]);
+  reexports.forEach(reexport => {
+    const forwarded = reexport.names === null
+      ? missing.filter(name => name !== 'default')
+      : missing.flatMap(name => (name === '*' ? Object.values(reexport.names) : reexport.names[name] ? [reexport.names[name]] : []));
+    const target = forwarded.length > 0 && resolve(reexport.specifier, modulePath);
+    if (target) {
+      results.push(...collectModuleDeclarations(target, forwarded, resolve, rootDir, depth + 1, visited));
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Collect the signatures and JSDoc of the symbols a file imports from other modules of the repository
+ */
+function collectImportedDeclarations(filePath, resolve, rootDir) {
+  const source = fs.readFileSync(path.resolve(rootDir, filePath), 'utf8');
+  const visited = { lookups: new Set(), declarations: new Set() };
+
+  return parseImports(source).flatMap(({ specifier, names }) => {
+    const modulePath = resolve(specifier, filePath);
+    if (!modulePath || modulePath === filePath) {
+      return [];
+    }
+    return collectModuleDeclarations(modulePath, names, resolve, rootDir, 1, visited);
+  });
+}
+
+module.exports = {
+  parseImports,
+  parseExports,
+  createImportResolver,
+  collectImportedDeclarations
+};
@@ -2,26 +2,23 @@
 
 const core = require('@actions/core');
 const github = require('@actions/github');
-const { execSync } = require('child_process');
-const { CONFIG, LLM_PROVIDERS, getReviewPrompt, getLanguageForFile } = require('./constants');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ignore = require('ignore');
+const { CONFIG, LLM_PROVIDERS, getReviewPrompt, getLanguageForFile, getModelContextWindow, getModelPricing } = require('./constants');
+const { parseConfigFile } = require('./config-file');
+const { countTokens, describeTokenizer } = require('./tokenizer');
+const { createImportResolver, collectImportedDeclarations } = require('./import-context');
+const { REVIEW_JSON_SCHEMA, SYNTHESIS_JSON_SCHEMA, toStrictSchema, validateReview, validateIssue, validateSynthesis } = require('./review-schema');
+const { version } = require('../package.json');
 
 /**
  * GitHub Actions Code Reviewer
  */
 class GitHubActionsReviewer {
   constructor() {
-    // Get inputs from action
-    this.provider = core.getInput('llm_provider') || CONFIG.DEFAULT_PROVIDER;
-    this.pathToFiles = this.parsePathToFiles(core.getInput('path_to_files') || CONFIG.DEFAULT_PATH_TO_FILES);
-    this.language = core.getInput('language') || CONFIG.DEFAULT_LANGUAGE;
-    this.maxTokens = parseInt(core.getInput('max_tokens')) || CONFIG.MAX_TOKENS;
-    this.temperature = parseFloat(core.getInput('temperature')) || CONFIG.TEMPERATURE;
-    
-    // Chunking configuration - Always use CONFIG defaults
-    this.chunkSize = CONFIG.DEFAULT_CHUNK_SIZE;
-    this.maxConcurrentRequests = CONFIG.MAX_CONCURRENT_REQUESTS;
-    this.batchDelayMs = CONFIG.BATCH_DELAY_MS;
-    
     // GitHub context
     this.octokit = github.getOctokit(process.env.GITHUB_TOKEN);
     this.context = github.context;
@@ -29,18 +26,150 @@ class GitHubActionsReviewer {
     // Get base branch dynamically from PR or use input/default
     this.baseBranch = this.getBaseBranch();
     
-    // Set environment variables for API keys
-    if (this.provider === 'openai') {
-      const openaiKey = core.getInput('openai_api_key');
-      if (openaiKey) {
-        process.env.OPENAI_API_KEY = openaiKey;
+    // Load the optional repository configuration file (workflow inputs take precedence over it)
+    this.fileConfig = this.loadRepositoryConfig();
+    
+    // Get inputs from action
+    this.provider = this.getInput('llm_provider') || CONFIG.DEFAULT_PROVIDER;
+    this.endpoint = this.parseEndpointSettings();
+    this.model = this.getInput('model') || (LLM_PROVIDERS[this.provider] && LLM_PROVIDERS[this.provider].model) || this.endpoint.deployment;
+    if (!this.model) {
+      throw new Error(`model is required when llm_provider is ${this.provider} (or set azure_deployment)`);
+    }
+    this.contextWindowOverride = this.parseContextWindowOverride();
+    this.contextWindow = this.getContextWindow(this.model);
+    this.providerChain = [
+      { provider: this.provider, model: this.model, contextWindow: this.contextWindow },
+      ...this.parseProviderList(this.getInput('llm_fallback'), 'llm_fallback')
+    ];
+    this.consensusReviewers = this.parseProviderList(this.getInput('consensus_models'), 'consensus_models');
+    this.consensusQuorum = this.parseConsensusQuorum();
+    this.pathToFiles = this.parsePathToFiles(this.getInput('path_to_files') || CONFIG.DEFAULT_PATH_TO_FILES);
+    this.languages = this.parseLanguages(this.getInput('language') || CONFIG.DEFAULT_LANGUAGE);
+    this.includePatterns = this.parsePatternList(this.getInput('include_patterns'));
+    this.excludePatterns = this.parsePatternList(this.getInput('exclude_patterns'));
+    this.reviewIgnoreFile = this.getInput('review_ignore_file') || CONFIG.DEFAULT_REVIEW_IGNORE_FILE;
+    this.maxTokens = parseInt(this.getInput('max_tokens')) || CONFIG.MAX_TOKENS;
+    this.temperature = this.parseNumberInput('temperature', CONFIG.TEMPERATURE, 0, 1); // 0 is a valid temperature
+    this.structuredOutput = this.parseBooleanInput('structured_output', null); // null: enabled except for openai_compatible endpoints
+    this.schemaRejectedTargets = new Set(); // provider:model pairs whose endpoint rejected the response schema
+    this.synthesizeReview = this.parseBooleanInput('synthesize_review', false);
+    this.commentMode = this.parseOptionInput('comment_mode', ['summary', 'inline'], CONFIG.DEFAULT_COMMENT_MODE);
+    this.commentStrategy = this.parseOptionInput('comment_strategy', ['update', 'new', 'minimize-old'], CONFIG.DEFAULT_COMMENT_STRATEGY);
+    this.reviewScope = this.parseOptionInput('review_scope', ['full', 'incremental'], CONFIG.DEFAULT_REVIEW_SCOPE);
+    this.contextMode = this.parseOptionInput('context_mode', ['diff', 'function', 'full'], CONFIG.DEFAULT_CONTEXT_MODE);
+    this.contextTokenBudget = Math.floor(this.parseNumberInput('context_token_budget', CONFIG.DEFAULT_CONTEXT_TOKEN_BUDGET, 0, Number.MAX_SAFE_INTEGER));
+    this.contextTokensUsed = 0; // Shared by every language group of the review
+    this.importContext = this.parseBooleanInput('import_context', false);
+    this.importContextTokenBudget = Math.floor(this.parseNumberInput('import_context_token_budget', CONFIG.DEFAULT_IMPORT_CONTEXT_TOKEN_BUDGET, 0, Number.MAX_SAFE_INTEGER));
+    this.importContextTokensUsed = 0;
+    this.importResolver = null;
+    this.importContexts = new Map(); // File path -> imported APIs attached to its diff, shown in the first part only when the file is split
+    this.createCheckRun = this.parseBooleanInput('create_check_run', false);
+    this.checkName = this.getInput('check_name') || CONFIG.DEFAULT_CHECK_NAME;
+    this.sarifFile = this.getInput('sarif_file');
+    this.reportFile = this.getInput('report_file');
+    this.guidelines = this.loadReviewGuidelines(this.parsePatternList(this.getInput('review_guidelines')));
+    this.blockingPolicy = this.parseBlockingPolicy();
+    this.advisoryMode = this.parseBooleanInput('advisory_mode', false);
+    
+    // Chunking configuration - CONFIG defaults unless overridden by the configuration file
+    this.chunkSize = parseInt(this.getInput('chunk_size')) || null; // Optional byte cap on top of the token budget
+    this.maxConcurrentRequests = parseInt(this.getInput('max_concurrent_requests')) || CONFIG.MAX_CONCURRENT_REQUESTS;
+    const batchDelayMs = parseInt(this.getInput('batch_delay_ms'));
+    this.batchDelayMs = Number.isNaN(batchDelayMs) ? CONFIG.BATCH_DELAY_MS : batchDelayMs;
+    
+    // Usage limits - no further chunks are sent once a limit is reached
+    this.maxCostUsd = this.parseNumberInput('max_cost_usd', null, 0, Number.MAX_SAFE_INTEGER);
+    const maxTokensTotal = this.parseNumberInput('max_tokens_total', null, 1, Number.MAX_SAFE_INTEGER);
+    this.maxTokensTotal = maxTokensTotal === null ? null : Math.floor(maxTokensTotal);
+    this.ignorePatterns = this.fileConfig.ignore_patterns
+      ? [].concat(this.fileConfig.ignore_patterns)
+      : CONFIG.IGNORE_PATTERNS;
+    this.pathOverrides = (this.fileConfig.overrides || []).map(override => ({
+      ...override,
+      matcher: ignore().add([].concat(override.paths))
+    }));
+    
+    // Commit range to review - narrowed to new commits in incremental mode (see resolveDiffRange)
+    this.diffRange = `origin/${this.baseBranch}...HEAD`;
+    this.previousReview = null;
+    this.chunkStats = { total: 0, failed: 0, skipped: 0 };
+    // Token usage of every LLM request, in total and per task (chunk review or synthesis)
+    this.usage = { requests: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0, unpriced_models: new Set(), tasks: [] };
+    this.unreviewedFiles = new Set(); // Files of chunks skipped because a usage limit was reached, or whose review failed
+    this.unreviewedReasons = new Set();
+    
+    // Set environment variables for the API keys of the primary, fallback and consensus providers
+    [...this.providerChain, ...this.consensusReviewers].forEach(({ provider }) => {
+      const providerConfig = LLM_PROVIDERS[provider];
+      const apiKey = providerConfig && core.getInput(providerConfig.apiKeyInput);
+      if (apiKey) {
+        process.env[providerConfig.apiKeyEnv] = apiKey;
       }
-    } else if (this.provider === 'claude') {
-      const claudeKey = core.getInput('claude_api_key');
-      if (claudeKey) {
-        process.env.CLAUDE_API_KEY = claudeKey;
+    });
+  }
+
+  /**
+   * Load the repository configuration file from config_file (or the default location).
+   * It is read from the base branch, so a PR cannot change how it is reviewed - the file
+   * selects providers, endpoints and the merge policy.
+   */
+  loadRepositoryConfig() {
+    const configFile = core.getInput('config_file');
+    const configPath = this.getRepositoryPath(configFile || CONFIG.DEFAULT_CONFIG_FILE);
+    const content = this.readBaseBranchFile(configPath);
+    
+    // A missing file is only an error when its path was set explicitly
+    if (content === null) {
+      if (configFile) {
+        throw new Error(`Configuration file not found on origin/${this.baseBranch}: ${configFile}`);
       }
+      return {};
+    }
+    
+    const fileConfig = parseConfigFile(content, configPath);
+    if (Object.keys(fileConfig).length > 0) {
+      core.info(`⚙️  Loaded configuration from ${configPath} (origin/${this.baseBranch}): ${Object.keys(fileConfig).join(', ')}`);
+    }
+    
+    return fileConfig;
+  }
+
+  /**
+   * Resolve a path from the inputs against the workspace, relative to the working directory git runs in
+   */
+  getRepositoryPath(filePath) {
+    return path.relative(process.cwd(), path.resolve(process.env.GITHUB_WORKSPACE || process.cwd(), filePath)).split(path.sep).join('/');
+  }
+
+  /**
+   * Read a file as it is on the base branch, or null when it does not exist there
+   */
+  readBaseBranchFile(filePath) {
+    try {
+      return execFileSync('git', ['show', `origin/${this.baseBranch}:./${filePath}`], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Get a setting from the workflow inputs, falling back to the configuration file.
+   * File values are returned in input format (lists joined with commas).
+   */
+  getInput(name) {
+    const input = core.getInput(name);
+    if (input) {
+      return input;
     }
+    
+    const fileValue = this.fileConfig[name];
+    if (fileValue === undefined || fileValue === null) {
+      return '';
+    }
+    
+    return Array.isArray(fileValue) ? fileValue.join(',') : String(fileValue);
   }
 
   /**
@@ -62,6 +191,320 @@ class GitHubActionsReviewer {
     return paths;
   }
 
+  /**
+   * Parse a comma- or newline-separated list of glob patterns
+   */
+  parsePatternList(input) {
+    return (input || '').split(/[,\n]/).map(pattern => pattern.trim()).filter(pattern => pattern.length > 0);
+  }
+
+  /**
+   * Load project guideline files and number their rules.
+   * Every list item is a rule (G-01, G-02, ...); items tagged with the blocking
+   * marker block the merge when violated.
+   */
+  loadReviewGuidelines(guidelineFiles) {
+    const rules = [];
+    const sections = [];
+    
+    guidelineFiles.forEach(guidelineFile => {
+      const guidelinePath = path.resolve(process.env.GITHUB_WORKSPACE || process.cwd(), guidelineFile);
+      if (!fs.existsSync(guidelinePath)) {
+        core.warning(`⚠️  Review guidelines file not found: ${guidelineFile}`);
+        return;
+      }
+      
+      const content = fs.readFileSync(guidelinePath, 'utf8').split('\n').map(line => {
+        const listItem = line.match(/^(\s*(?:[-*+]|\d+[.)])\s+)(.+)$/);
+        if (!listItem) {
+          return line;
+        }
+        
+        const blocking = listItem[2].toLowerCase().includes(CONFIG.GUIDELINE_BLOCKING_MARKER);
+        const text = listItem[2].replace(new RegExp(CONFIG.GUIDELINE_BLOCKING_MARKER.replace(/[[\]]/g, '\\$&'), 'ig'), '').trim();
+        const rule = { id: `G-${String(rules.length + 1).padStart(2, '0')}`, text, blocking, source: guidelineFile };
+        rules.push(rule);
+        
+        return `${listItem[1]}[${rule.id}]${blocking ? ' (BLOCKING)' : ''} ${text}`;
+      }).join('\n');
+      
+      sections.push(`From ${guidelineFile}:\n${content.trim()}`);
+    });
+    
+    if (rules.length > 0) {
+      core.info(`📏 Loaded ${rules.length} guideline rules (${rules.filter(rule => rule.blocking).length} blocking) from ${sections.length} files`);
+    }
+    
+    return { rules, prompt: sections.join('\n\n') };
+  }
+
+  /**
+   * Apply guideline rule severities to the issues of the review blocks: violations of
+   * blocking rules become critical, all other rule violations suggestions. Metrics
+   * and final_recommendation of each review object are recomputed accordingly.
+   */
+  applyGuidelineSeverities(blocks) {
+    if (this.guidelines.rules.length === 0) {
+      return blocks;
+    }
+    
+    const rulesById = Object.fromEntries(this.guidelines.rules.map(rule => [rule.id, rule]));
+    
+    blocks
+      .filter(block => block.data && Array.isArray(block.data.issues))
+      .forEach(({ data: reviewData }) => {
+        reviewData.issues.forEach(issue => {
+          const rule = issue && rulesById[issue.rule];
+          if (rule) {
+            // Blocking rules cannot override a consensus downgrade
+            issue.severity_proposed = rule.blocking && !issue.consensus?.downgraded ? 'critical' : 'suggestion';
+          }
+        });
+        
+        this.updateReviewMetrics(reviewData);
+      });
+    
+    return blocks;
+  }
+
+  /**
+   * Recompute the metrics and final_recommendation of a JSON object after its issues changed
+   */
+  updateReviewMetrics(reviewData) {
+    reviewData.metrics = {
+      ...reviewData.metrics,
+      critical_count: reviewData.issues.filter(issue => issue.severity_proposed === 'critical').length,
+      suggestion_count: reviewData.issues.filter(issue => issue.severity_proposed === 'suggestion').length
+    };
+    
+    if (reviewData.final_recommendation) {
+      const blocking = reviewData.issues.some(issue => this.isBlockingIssue(issue));
+      reviewData.final_recommendation = blocking ? 'do_not_merge' : 'safe_to_merge';
+    }
+  }
+
+  /**
+   * Describe the guideline rule an issue cites, or null for regular issues
+   */
+  describeIssueRule(issue) {
+    const rule = issue.rule && this.guidelines.rules.find(guidelineRule => guidelineRule.id === issue.rule);
+    if (!rule) {
+      return issue.rule ? `${issue.rule}` : null;
+    }
+    
+    return `${rule.id}${rule.blocking ? ' (blocking)' : ''} - ${rule.text}`;
+  }
+
+  /**
+   * Parse language input: a single language, a comma-separated list or 'auto' (all supported languages)
+   */
+  parseLanguages(input) {
+    const supportedLanguages = Object.keys(CONFIG.LANGUAGE_CONFIGS);
+    const requested = input.split(',').map(language => language.trim().toLowerCase()).filter(Boolean);
+    
+    if (requested.includes('auto')) {
+      return supportedLanguages;
+    }
+    
+    const languages = requested.filter(language => {
+      if (!CONFIG.LANGUAGE_CONFIGS[language]) {
+        core.warning(`⚠️  Unknown language: ${language}, ignoring it`);
+        return false;
+      }
+      return true;
+    });
+    
+    if (languages.length === 0) {
+      core.warning(`⚠️  No supported language in "${input}", defaulting to all supported languages`);
+      return supportedLanguages;
+    }
+    
+    return languages;
+  }
+
+  /**
+   * Parse an input restricted to a fixed set of values, falling back to the default
+   */
+  parseOptionInput(name, allowedValues, defaultValue) {
+    const input = this.getInput(name);
+    const value = (input || defaultValue).trim().toLowerCase();
+    
+    if (!allowedValues.includes(value)) {
+      core.warning(`⚠️  Unknown ${name}: ${input}, defaulting to ${defaultValue}`);
+      return defaultValue;
+    }
+    
+    return value;
+  }
+
+  /**
+   * Parse a 'true'/'false' input, falling back to the default when empty
+   */
+  parseBooleanInput(name, defaultValue) {
+    const input = this.getInput(name).trim().toLowerCase();
+    
+    if (!input) {
+      return defaultValue;
+    }
+    
+    return input === 'true';
+  }
+
+  /**
+   * Parse the endpoint settings of the openai_compatible provider (base URL, Azure deployment and auth header)
+   */
+  parseEndpointSettings() {
+    const deployment = this.getInput('azure_deployment');
+    const endpoint = {
+      baseUrl: this.getInput('llm_base_url'),
+      deployment,
+      apiVersion: this.getInput('azure_api_version') || (deployment ? CONFIG.DEFAULT_AZURE_API_VERSION : ''),
+      authHeader: this.parseOptionInput('llm_auth_header', ['authorization', 'api-key'], deployment ? 'api-key' : 'authorization')
+    };
+    
+    if (this.provider === 'openai_compatible' && !endpoint.baseUrl) {
+      throw new Error('llm_base_url is required when llm_provider is openai_compatible');
+    }
+    
+    return endpoint;
+  }
+
+  /**
+   * Parse an ordered, comma-separated list of providers (llm_fallback, consensus_models),
+   * each optionally with a model (provider:model)
+   */
+  parseProviderList(input, inputName) {
+    return this.parsePatternList(input).map(entry => {
+      const [provider, ...modelParts] = entry.split(':');
+      const name = provider.trim().toLowerCase();
+      const model = modelParts.join(':').trim() || (LLM_PROVIDERS[name] && LLM_PROVIDERS[name].model) || this.endpoint.deployment;
+      
+      if (!LLM_PROVIDERS[name]) {
+        core.warning(`⚠️  Unknown ${inputName} provider: ${name}, ignoring it (supported: ${Object.keys(LLM_PROVIDERS).join(', ')})`);
+        return null;
+      }
+      if (name === 'openai_compatible' && !this.endpoint.baseUrl) {
+        core.warning(`⚠️  ${inputName} provider openai_compatible needs llm_base_url, ignoring it`);
+        return null;
+      }
+      if (!model) {
+        core.warning(`⚠️  No model for ${inputName} provider ${name}, ignoring it (use ${name}:<model>)`);
+        return null;
+      }
+      
+      return { provider: name, model, contextWindow: this.getContextWindow(model) };
+    }).filter(Boolean);
+  }
+
+  /**
+   * Parse context_window: overrides the context window of the primary model (e.g. a self-hosted model missing from the built-in table)
+   */
+  parseContextWindowOverride() {
+    const contextWindow = this.parseNumberInput('context_window', null, CONFIG.MIN_CONTEXT_WINDOW, Number.MAX_SAFE_INTEGER);
+    return contextWindow === null ? null : Math.floor(contextWindow);
+  }
+
+  /**
+   * Get the context window of a model, applying the context_window override to the primary model wherever it is used
+   */
+  getContextWindow(model) {
+    return this.contextWindowOverride && model === this.model ? this.contextWindowOverride : getModelContextWindow(model);
+  }
+
+  /**
+   * Parse consensus_quorum: how many consensus models must report an issue for it to block the merge
+   */
+  parseConsensusQuorum() {
+    const modelCount = this.consensusReviewers.length + 1;
+    const quorum = Math.floor(this.parseNumberInput('consensus_quorum', CONFIG.DEFAULT_CONSENSUS_QUORUM, 1, Infinity));
+    
+    if (this.consensusReviewers.length > 0 && quorum > modelCount) {
+      core.warning(`⚠️  consensus_quorum ${quorum} is larger than the ${modelCount} consensus models, using ${modelCount}`);
+      return modelCount;
+    }
+    
+    return quorum;
+  }
+
+  /**
+   * Describe a provider chain entry for logs and comments
+   */
+  describeProvider(target) {
+    return `${target.provider.toUpperCase()} (${target.model})`;
+  }
+
+  /**
+   * Parse a numeric input within [min, max], falling back to the default when empty or invalid
+   */
+  parseNumberInput(name, defaultValue, min, max) {
+    const input = this.getInput(name);
+    if (!input) {
+      return defaultValue;
+    }
+    
+    const value = parseFloat(input);
+    if (Number.isNaN(value) || value < min || value > max) {
+      core.warning(`⚠️  Invalid ${name}: ${input} (expected a number between ${min} and ${max}), defaulting to ${defaultValue}`);
+      return defaultValue;
+    }
+    
+    return value;
+  }
+
+  /**
+   * Parse the merge-blocking policy inputs
+   */
+  parseBlockingPolicy() {
+    const categories = this.parsePatternList(this.getInput('block_categories')).map(category => category.toLowerCase());
+    const unknownCategories = categories.filter(category => !CONFIG.ISSUE_CATEGORIES.includes(category));
+    if (unknownCategories.length > 0) {
+      core.warning(`⚠️  Unknown block_categories: ${unknownCategories.join(', ')} (supported: ${CONFIG.ISSUE_CATEGORIES.join(', ')})`);
+    }
+    
+    const maxSuggestions = this.parseNumberInput('max_suggestions', null, 0, Infinity);
+    
+    return {
+      confidenceThreshold: this.parseNumberInput('block_confidence_threshold', CONFIG.BLOCK_CONFIDENCE_THRESHOLD, 0, 1),
+      minSeverityScore: this.parseNumberInput('block_min_severity_score', CONFIG.BLOCK_MIN_SEVERITY_SCORE, 0, 5),
+      categories: categories.filter(category => CONFIG.ISSUE_CATEGORIES.includes(category)),
+      maxSuggestions: maxSuggestions === null ? null : Math.floor(maxSuggestions)
+    };
+  }
+
+  /**
+   * Whether an issue blocks the merge under the configured policy
+   */
+  isBlockingIssue(issue) {
+    const policy = this.blockingPolicy;
+    
+    return issue.severity_proposed === 'critical'
+      && (issue.confidence || 0) >= policy.confidenceThreshold
+      && (issue.severity_score || 0) >= policy.minSeverityScore
+      && (policy.categories.length === 0 || policy.categories.includes(issue.category));
+  }
+
+  /**
+   * Describe the merge-blocking policy for logs and comments
+   */
+  describeBlockingPolicy() {
+    const policy = this.blockingPolicy;
+    const rules = [`critical issues with confidence ≥ ${policy.confidenceThreshold}`];
+    
+    if (policy.minSeverityScore > 0) {
+      rules.push(`severity score ≥ ${policy.minSeverityScore}`);
+    }
+    if (policy.categories.length > 0) {
+      rules.push(`in ${policy.categories.join(', ')}`);
+    }
+    
+    let description = `Block on ${rules.join(', ')}`;
+    if (policy.maxSuggestions !== null) {
+      description += ` or more than ${policy.maxSuggestions} suggestions`;
+    }
+    
+    return this.advisoryMode ? `${description} (advisory - never fails the job)` : description;
+  }
+
   /**
    * Get base branch dynamically from PR or use input/default
    */
@@ -73,7 +516,7 @@ class GitHubActionsReviewer {
       return prBaseBranch;
     }
     
-    // Fallback to input or default
+    // Fallback to input or default - the configuration file is read from the base branch, so it cannot set it
     const inputBaseBranch = core.getInput('base_branch');
     if (inputBaseBranch) {
       core.info(`📋 Using input base branch: ${inputBaseBranch}`);
@@ -90,30 +533,36 @@ class GitHubActionsReviewer {
   getChangedFiles() {
     try {
       core.info('🔍 Detecting changed files...');
-      core.info(`Comparing ${this.context.sha} against origin/${this.baseBranch}`);
-      core.info(`🔤 Language filter: ${this.language} (${CONFIG.LANGUAGE_CONFIGS[this.language]?.name || 'Unknown'})`);
+      core.info(`Comparing ${this.diffRange}`);
+      core.info(`🔤 Language filter: ${this.describeLanguages()}`);
       
-      const rawOutput = execSync(`git diff --name-only origin/${this.baseBranch}...HEAD`, { encoding: 'utf8' });
+      const filters = this.createFileFilters();
+      const rawOutput = execFileSync('git', ['diff', '--name-only', this.diffRange], { encoding: 'utf8' });
       const allFiles = rawOutput
         .split('\n')
         .filter(Boolean) // Remove empty lines
         .filter(file => {
           // Check if file matches any of the specified paths
-          const matchesPath = this.pathToFiles.some(path => file.startsWith(path));
+          const matchesPath = this.pathToFiles.some(pathFilter =>
+            /[*?[]/.test(pathFilter) ? filters.pathGlobs.ignores(file) : file.startsWith(pathFilter)
+          );
+          
+          // Check if file matches the include globs (all files when none are given)
+          const matchesInclude = this.includePatterns.length === 0 || filters.include.ignores(file);
           
-          // Check if file should be ignored
-          const shouldIgnore = file.endsWith('.json') ||
-                              file.endsWith('.md') ||
-                              file.endsWith('.test.js') ||
-                              file.endsWith('.spec.js');
+          // Check if file is excluded by the default patterns, exclude globs or .reviewignore
+          const shouldIgnore = filters.exclude.ignores(file);
+          
+          // Check if a per-path override from the configuration file skips the file
+          const isSkipped = this.pathOverrides.some(override => override.skip && override.matcher.ignores(file));
           
           // Check if file matches the specified language
           const matchesLanguage = this.matchesLanguage(file);
           
-          return matchesPath && !shouldIgnore && matchesLanguage;
+          return matchesPath && matchesInclude && !shouldIgnore && !isSkipped && matchesLanguage;
         });
       
-      core.info(`Found ${allFiles.length} changed files matching language: ${this.language}`);
+      core.info(`Found ${allFiles.length} changed files matching languages: ${this.languages.join(', ')}`);
       
       return allFiles;
     } catch (error) {
@@ -123,25 +572,83 @@ class GitHubActionsReviewer {
   }
 
   /**
-   * Check if file matches the specified language
+   * Build gitignore-style matchers for path filters, include globs and exclusions.
+   * Exclusions are layered so later rules win: the default ignore patterns, then
+   * exclude_patterns, then the .reviewignore file (whose negations can re-include files).
+   */
+  createFileFilters() {
+    const exclude = ignore()
+      .add(this.ignorePatterns)
+      .add(this.excludePatterns);
+    
+    // Read from the base branch like the configuration file, so a PR cannot exclude its own files from review
+    const reviewIgnore = this.readBaseBranchFile(this.getRepositoryPath(this.reviewIgnoreFile));
+    if (reviewIgnore !== null) {
+      exclude.add(reviewIgnore);
+      core.info(`🙈 Loaded ignore rules from ${this.reviewIgnoreFile} (origin/${this.baseBranch})`);
+    }
+    
+    return {
+      pathGlobs: ignore().add(this.pathToFiles.filter(pathFilter => /[*?[]/.test(pathFilter))),
+      include: ignore().add(this.includePatterns),
+      exclude
+    };
+  }
+
+  /**
+   * Check if file matches one of the specified languages
    */
   matchesLanguage(filePath) {
-    const languageConfig = CONFIG.LANGUAGE_CONFIGS[this.language];
-    if (!languageConfig) {
-      core.warning(`⚠️  Unknown language: ${this.language}, defaulting to all files`);
-      return true; // Default to include all files if language not recognized
+    return this.detectLanguage(filePath) !== null;
+  }
+
+  /**
+   * Detect the language of a file: a per-path override from the configuration file,
+   * else the first specified language matching its extension, or null if none matches
+   */
+  detectLanguage(filePath) {
+    const override = this.pathOverrides.find(pathOverride => pathOverride.language && pathOverride.matcher.ignores(filePath));
+    if (override) {
+      return override.language;
     }
     
-    return languageConfig.extensions.some(ext => filePath.endsWith(ext));
+    return this.languages.find(language =>
+      CONFIG.LANGUAGE_CONFIGS[language].extensions.some(ext => filePath.endsWith(ext))
+    ) || null;
+  }
+
+  /**
+   * Group files by detected language, keeping the order of the specified languages
+   */
+  groupFilesByLanguage(files) {
+    const groups = {};
+    const overrideLanguages = this.pathOverrides.map(override => override.language).filter(Boolean);
+    
+    [...new Set([...this.languages, ...overrideLanguages])].forEach(language => {
+      const languageFiles = files.filter(file => this.detectLanguage(file) === language);
+      if (languageFiles.length > 0) {
+        groups[language] = languageFiles;
+      }
+    });
+    
+    return groups;
+  }
+
+  /**
+   * Describe the specified languages for logs and comments
+   */
+  describeLanguages() {
+    return this.languages.map(language => `${language} (${CONFIG.LANGUAGE_CONFIGS[language].name})`).join(', ');
   }
 
   /**
-   * Get diff for a single file
+   * Get the diff of a single file; contextArgs sets how much unchanged code git shows around each change.
+   * git is run without a shell, so file names and refs are never interpreted as shell syntax.
    */
-  getFileDiff(filePath) {
+  getFileDiff(filePath, contextArgs = ['--unified=3'], gitConfig = []) {
     try {
-      const diffCommand = `git diff origin/${this.baseBranch}...HEAD --unified=3 --no-prefix --ignore-blank-lines --ignore-space-at-eol --no-color -- "${filePath}"`;
-      const diff = execSync(diffCommand, { encoding: 'utf8', maxBuffer: 10 * 1024 * 1024 }); // 10MB buffer
+      const diffArgs = [...gitConfig, 'diff', this.diffRange, ...contextArgs, '--no-prefix', '--ignore-blank-lines', '--ignore-space-at-eol', '--no-color', '--', filePath];
+      const diff = execFileSync('git', diffArgs, { encoding: 'utf8', maxBuffer: 10 * 1024 * 1024 }); // 10MB buffer
       return diff;
     } catch (error) {
       core.warning(`⚠️  Could not get diff for ${filePath}: ${error.message}`);
@@ -150,39 +657,88 @@ class GitHubActionsReviewer {
   }
 
   /**
-   * Split diff into chunks based on size
+   * Map each file to the right-side (post-change) line numbers visible in its diff.
+   * Every line is tagged with the index of the hunk it belongs to, since a
+   * multi-line review comment cannot span two hunks.
    */
-  splitDiffIntoChunks(diff, maxChunkSize = null) {
-    const chunkSize = maxChunkSize || this.chunkSize;
-    
-    if (!diff || diff.length === 0) {
-      return [];
+  getDiffLineMap(changedFiles) {
+    const lineMap = {};
+
+    changedFiles.forEach(filePath => {
+      const lines = new Map();
+      let hunkIndex = -1;
+      let rightLine = 0;
+
+      this.getFileDiff(filePath).split('\n').forEach(diffLine => {
+        const hunkHeader = diffLine.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+        if (hunkHeader) {
+          hunkIndex++;
+          rightLine = parseInt(hunkHeader[1]);
+          return;
+        }
+
+        if (hunkIndex < 0) {
+          return; // Still in the file header
+        }
+
+        if (diffLine.startsWith('+') || diffLine.startsWith(' ')) {
+          lines.set(rightLine, hunkIndex);
+          rightLine++;
+        }
+      });
+
+      lineMap[filePath] = lines;
+    });
+
+    return lineMap;
+  }
+
+  /**
+   * Get the left-side (pre-change) line ranges covered by the hunks of a file diff
+   */
+  getChangedLineRanges(filePath) {
+    const ranges = [];
+    const hunkHeaders = this.getFileDiff(filePath).matchAll(/^@@ -(\d+)(?:,(\d+))? \+\d+(?:,\d+)? @@/gm);
+
+    for (const [, start, count] of hunkHeaders) {
+      const startLine = parseInt(start);
+      const lineCount = count === undefined ? 1 : parseInt(count);
+      ranges.push([startLine, startLine + Math.max(lineCount, 1) - 1]);
     }
 
-    // Ensure chunk size is reasonable
-    if (chunkSize <= 0) {
-      core.warning(`⚠️  Invalid chunk size: ${chunkSize}, using default: ${CONFIG.DEFAULT_CHUNK_SIZE}`);
-      return [diff]; // Return as single chunk if chunk size is invalid
+    return ranges;
+  }
+
+  /**
+   * Pack the file sections of a diff into as few chunks as fit, splitting oversized files at hunk boundaries.
+   * `measure` returns the share of a chunk's capacity that a text uses, so a chunk holds up to 1.
+   */
+  splitDiffIntoChunks(diff, measure) {
+    if (!diff || diff.length === 0) {
+      return [];
     }
 
     const chunks = [];
     let currentChunk = '';
     let currentSize = 0;
     
-    // Split by file boundaries (--- File: ... ---)
-    const fileSections = diff.split(/(?=--- File: )/);
+    // Split by file boundaries (--- File: ... ---), and oversized files at hunk boundaries
+    const fileSections = diff.split(/(?=--- File: )/).flatMap(section => {
+      const size = measure(section);
+      return size > 1
+        ? this.splitFileSection(section, measure).map(part => ({ text: part, size: measure(part) }))
+        : [{ text: section, size }];
+    });
     
     for (const section of fileSections) {
-      const sectionSize = Buffer.byteLength(section, 'utf8');
-      
-      // If adding this section would exceed chunk size, start a new chunk
-      if (currentSize + sectionSize > chunkSize && currentChunk.length > 0) {
+      // If adding this section would exceed the chunk capacity, start a new chunk
+      if (currentSize + section.size > 1 && currentChunk.length > 0) {
         chunks.push(currentChunk);
-        currentChunk = section;
-        currentSize = sectionSize;
+        currentChunk = section.text;
+        currentSize = section.size;
       } else {
-        currentChunk += section;
-        currentSize += sectionSize;
+        currentChunk += section.text;
+        currentSize += section.size;
       }
     }
     
@@ -191,44 +747,330 @@ class GitHubActionsReviewer {
       chunks.push(currentChunk);
     }
     
-    core.info(`📦 Split diff into ${chunks.length} chunks (max ${Math.round(chunkSize / 1024)}KB each)`);
+    return chunks;
+  }
+
+  /**
+   * Get the diff token budget of a chunk for each model of the chain: its context window minus the
+   * chunk prompt, the configured max output tokens and a safety margin, in the model's own tokens.
+   * Any provider of the chain may review a chunk, so a chunk has to fit every budget.
+   */
+  getChunkTokenBudgets(prompt, providerChain) {
+    const targets = providerChain.filter((target, index) => providerChain.findIndex(other => 
+      other.model === target.model && other.contextWindow === target.contextWindow
+    ) === index);
+    
+    return targets.map(target => {
+      const promptTokens = countTokens(this.createChunkPrompt(prompt, 0, 2), target.model);
+      const tokens = target.contextWindow - promptTokens - this.maxTokens - Math.ceil(target.contextWindow * CONFIG.CHUNK_TOKEN_MARGIN);
+      
+      if (tokens < CONFIG.MIN_CHUNK_TOKENS) {
+        core.warning(`⚠️  The prompt (${promptTokens} tokens) and max_tokens (${this.maxTokens}) leave ${Math.max(tokens, 0)} tokens of the ${target.model} context window for the diff - using ${CONFIG.MIN_CHUNK_TOKENS}`);
+      }
+      
+      return { target, promptTokens, tokens: Math.max(tokens, CONFIG.MIN_CHUNK_TOKENS) };
+    });
+  }
+
+  /**
+   * Plan the chunks of a diff: files are packed into chunks that fit the token budget
+   * (and the chunk_size byte cap, when set)
+   */
+  planChunks(prompt, diff, providerChain) {
+    const budgets = this.getChunkTokenBudgets(prompt, providerChain);
+    const budget = budgets.reduce((smallest, candidate) => candidate.tokens < smallest.tokens ? candidate : smallest);
+    // Tokenizers differ between providers, so the most pessimistic share of any budget decides
+    const measure = text => Math.max(
+      ...budgets.map(({ target, tokens }) => countTokens(text, target.model) / tokens),
+      this.chunkSize ? Buffer.byteLength(text, 'utf8') / this.chunkSize : 0
+    );
+    
+    const chunks = this.splitDiffIntoChunks(diff, measure);
+    
+    core.info(`📦 Planned ${chunks.length} chunks of up to ${budget.tokens} diff tokens (${budget.target.model}: ${budget.target.contextWindow} context - ${budget.promptTokens} prompt - ${this.maxTokens} max output${this.chunkSize ? `, capped at ${Math.round(this.chunkSize / 1024)}KB` : ''})`);
     
     // Warn if too many chunks are created
     if (chunks.length > 50) {
-      core.warning(`⚠️  Large number of chunks (${chunks.length}) created. Consider increasing chunk size.`);
+      core.warning(`⚠️  Large number of chunks (${chunks.length}) created. Consider a model with a larger context window or narrowing path_to_files.`);
     }
     
     return chunks;
   }
 
   /**
-   * Get full diff for all changed files with chunking support
+   * Split a file section larger than the chunk size at hunk (@@) boundaries.
+   * Every part repeats the file header (marker and git header) and says which part it is,
+   * so the model knows the rest of the file is reviewed in other chunks.
    */
-  getFullDiff() {
-    try {
-      const changedFiles = this.getChangedFiles();
-
-      if (changedFiles.length === 0) {
-        return '';
+  splitFileSection(section, measure) {
+    const hunkStart = section.search(/^@@ /m);
+    if (hunkStart === -1) {
+      return [section]; // No hunks to split on (binary or mode-only changes)
+    }
+    
+    const header = section.substring(0, hunkStart);
+    const markerEnd = header.indexOf('\n') + 1;
+    // Imported APIs are sent with the first part only; the other parts point to it
+    const importContext = this.importContexts.get((header.match(/^--- File: (.+) ---$/m) || [])[1]);
+    const partHeader = index => (importContext && index > 0
+      ? header.replace(importContext, '(Imported APIs used by this file are listed in part 1)\n')
+      : header);
+    const partNote = (index, total) => `(Part ${index}/${total} of this file's diff, split at hunk boundaries - the other parts are reviewed in separate chunks)\n`;
+    // Leave room for the repeated header and the part note
+    const budget = Math.max(1 - measure(header) - measure(partNote(999, 999)), 0.25);
+    
+    const parts = [];
+    let currentPart = '';
+    let currentSize = 0;
+    section.substring(hunkStart).split(/(?=^@@ )/m)
+      .flatMap(hunk => this.splitHunk(hunk, budget, measure))
+      .forEach(hunk => {
+        const hunkSize = measure(hunk);
+        if (currentPart.length > 0 && currentSize + hunkSize > budget) {
+          parts.push(currentPart);
+          currentPart = '';
+          currentSize = 0;
+        }
+        currentPart += hunk;
+        currentSize += hunkSize;
+      });
+    if (currentPart.length > 0) {
+      parts.push(currentPart);
+    }
+    
+    if (parts.length <= 1) {
+      return [section];
+    }
+    
+    core.info(`✂️  Split ${header.substring(0, markerEnd).trim()} (${Math.round(Buffer.byteLength(section, 'utf8') / 1024)}KB) into ${parts.length} parts at hunk boundaries`);
+    
+    return parts.map((part, index) => 
+      `${header.substring(0, markerEnd)}${partNote(index + 1, parts.length)}${partHeader(index).substring(markerEnd)}${part}\n`
+    );
+  }
+
+  /**
+   * Split a single hunk larger than maxSize (as measured by `measure`) at line boundaries.
+   * Each piece gets its own hunk header with recomputed line numbers and the original section heading,
+   * and starts with the trailing context lines (up to CONFIG.SPLIT_HUNK_OVERLAP_LINES) of the previous piece.
+   */
+  splitHunk(hunk, maxSize, measure) {
+    const [headerLine, ...lines] = hunk.split('\n');
+    const match = headerLine.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@(.*)$/);
+    if (!match || measure(hunk) <= maxSize) {
+      return [hunk];
+    }
+    const headerSize = measure(`${headerLine}\n`);
+    
+    let oldLine = parseInt(match[1]);
+    let newLine = parseInt(match[2]);
+    const pieces = [];
+    let piece = { oldStart: oldLine, newStart: newLine, oldCount: 0, newCount: 0, lines: [], size: 0, overlap: 0 };
+    
+    const flush = () => {
+      if (piece.lines.length > piece.overlap) {
+        pieces.push(`@@ -${piece.oldStart},${piece.oldCount} +${piece.newStart},${piece.newCount} @@${match[3]}\n${piece.lines.join('\n')}\n`);
+      }
+      
+      // Only a trailing run of context lines can be repeated without breaking the line numbers of the next piece
+      const overlap = [];
+      for (let index = piece.lines.length - 1; index >= 0 && overlap.length < CONFIG.SPLIT_HUNK_OVERLAP_LINES && piece.lines[index].startsWith(' '); index--) {
+        overlap.unshift(piece.lines[index]);
+      }
+      piece = {
+        oldStart: oldLine - overlap.length,
+        newStart: newLine - overlap.length,
+        oldCount: overlap.length,
+        newCount: overlap.length,
+        lines: overlap,
+        size: overlap.reduce((size, line) => size + measure(`${line}\n`), 0),
+        overlap: overlap.length
+      };
+    };
+    
+    lines.filter(line => line.length > 0).forEach(line => {
+      const lineSize = measure(`${line}\n`);
+      if (piece.size + lineSize > maxSize - headerSize) {
+        flush();
+      }
+      
+      piece.lines.push(line);
+      piece.size += lineSize;
+      if (line.startsWith('-')) {
+        oldLine++;
+        piece.oldCount++;
+      } else if (line.startsWith('+')) {
+        newLine++;
+        piece.newCount++;
+      } else if (!line.startsWith('\\')) { // "\ No newline at end of file" is not a line of either side
+        oldLine++;
+        newLine++;
+        piece.oldCount++;
+        piece.newCount++;
+      }
+    });
+    flush();
+    
+    return pieces;
+  }
+
+  /**
+   * Get the diff of a file for review, with more surrounding code when context_mode asks for it
+   * and the context token budget allows: `full` shows the whole post-change file (falling back to
+   * `function` for large files), `function` expands each hunk to its enclosing function or class
+   * using git's funcname heuristics. Returns the diff and a description of the added context.
+   */
+  getReviewFileDiff(filePath) {
+    const diff = this.getFileDiff(filePath);
+    if (this.contextMode === 'diff' || !diff) {
+      return { diff, context: null };
+    }
+    
+    const candidates = [
+      ...(this.contextMode === 'full' ? [{ context: 'full file', args: [`--unified=${CONFIG.FULL_FILE_CONTEXT_LINES}`] }] : []),
+      { context: 'enclosing functions', args: ['--unified=3', '--function-context'], gitConfig: this.getFuncnameGitConfig() }
+    ];
+    const diffTokens = countTokens(diff, this.model);
+    const limit = Math.min(this.contextTokenBudget - this.contextTokensUsed, CONFIG.MAX_CONTEXT_TOKENS_PER_FILE);
+    
+    for (const candidate of candidates) {
+      const expandedDiff = this.getFileDiff(filePath, candidate.args, candidate.gitConfig);
+      const extraTokens = Math.max(countTokens(expandedDiff, this.model) - diffTokens, 0);
+      if (expandedDiff && extraTokens <= limit) {
+        this.contextTokensUsed += extraTokens;
+        return { diff: expandedDiff, context: candidate.context };
+      }
+    }
+    
+    core.info(`   Context for ${filePath} does not fit the remaining context budget, keeping 3 lines around each change`);
+    return { diff, context: null };
+  }
+
+  /**
+   * git options that let --function-context find the enclosing function in every supported language:
+   * a temporary attributes file maps their extensions to git's built-in diff drivers, plus a
+   * deepreview-js driver for JavaScript/TypeScript, which git does not ship. Attributes in the
+   * repository's .gitattributes still take precedence.
+   */
+  getFuncnameGitConfig() {
+    if (!this.funcnameGitConfig) {
+      const attributes = Object.values(CONFIG.LANGUAGE_CONFIGS)
+        .flatMap(config => config.patterns.map(pattern => `${pattern} diff=${config.diffDriver}\n`))
+        .join('');
+      
+      try {
+        const directory = fs.mkdtempSync(path.join(process.env.RUNNER_TEMP || os.tmpdir(), 'deepreview-'));
+        this.funcnameGitConfigDirectory = directory;
+        const attributesFile = path.join(directory, 'gitattributes');
+        fs.writeFileSync(attributesFile, attributes);
+        this.funcnameGitConfig = ['-c', `core.attributesFile=${attributesFile}`, '-c', `diff.deepreview-js.xfuncname=${CONFIG.JS_FUNCNAME_PATTERN}`];
+      } catch (error) {
+        core.warning(`⚠️  Could not configure git function detection, using git's default heuristics: ${error.message}`);
+        this.funcnameGitConfig = [];
+      }
+    }
+    
+    return this.funcnameGitConfig;
+  }
+
+  /**
+   * Remove the temporary attributes file of getFuncnameGitConfig once the diffs are generated
+   */
+  removeFuncnameGitConfig() {
+    if (this.funcnameGitConfigDirectory) {
+      fs.rmSync(this.funcnameGitConfigDirectory, { recursive: true, force: true });
+    }
+    this.funcnameGitConfigDirectory = null;
+    this.funcnameGitConfig = null;
+  }
+
+  /**
+   * Get the signatures and JSDoc of the symbols a JS/TS file imports from other files of the
+   * repository (relative and tsconfig/jsconfig path imports), as read-only context for the
+   * review. Declarations are added in import order until the import context budget is used up.
+   */
+  getImportContext(filePath) {
+    const workspace = process.env.GITHUB_WORKSPACE || process.cwd();
+    if (!this.importContext || this.detectLanguage(filePath) !== 'js' || !fs.existsSync(path.resolve(workspace, filePath))) {
+      return '';
+    }
+    
+    try {
+      this.importResolver = this.importResolver || createImportResolver(workspace);
+      const declarations = collectImportedDeclarations(filePath, this.importResolver, workspace);
+      const included = [];
+      let skipped = 0;
+      
+      for (const declaration of declarations) {
+        const text = `// ${declaration.file}\n${declaration.text}\n`;
+        const tokens = countTokens(text, this.model);
+        if (this.importContextTokensUsed + tokens > this.importContextTokenBudget) {
+          skipped++;
+          continue;
+        }
+        this.importContextTokensUsed += tokens;
+        included.push(text);
+      }
+      
+      if (skipped > 0) {
+        core.info(`   ${skipped} imported declarations of ${filePath} do not fit the remaining import context budget`);
+      }
+      if (included.length === 0) {
+        return '';
+      }
+      
+      // The fence is longer than any backtick run of the declarations (JSDoc examples), so they cannot close it
+      const fence = '`'.repeat(Math.max(3, ...included.map(text => Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length + 1)))));
+      return `Imported APIs (read-only context from other files, not part of this change):\n${fence}\n${included.join('\n')}${fence}\n`;
+    } catch (error) {
+      core.warning(`⚠️  Could not resolve imports of ${filePath}: ${error.message}`);
+      return '';
+    }
+  }
+
+  /**
+   * Get full diff for the given changed files with chunking support
+   */
+  getFullDiff(changedFiles) {
+    try {
+      if (changedFiles.length === 0) {
+        return '';
       }
 
       core.info(`📊 Processing ${changedFiles.length} files for diff generation...`);
       
       let allDiffs = [];
+      let expandedCount = 0;
+      let importContextCount = 0;
       
       // Process files one by one to avoid command line length issues
       for (let i = 0; i < changedFiles.length; i++) {
         const filePath = changedFiles[i];
         core.info(`📄 Processing diff for: ${filePath} (${i + 1}/${changedFiles.length})`);
         
-        const fileDiff = this.getFileDiff(filePath);
+        const { diff: fileDiff, context } = this.getReviewFileDiff(filePath);
         
         if (fileDiff) {
-          const diffWithHeader = `\n--- File: ${filePath} ---\n${fileDiff}\n`;
+          const contextNote = context ? `(Context: ${context} - lines without +/- are unchanged code)\n` : '';
+          const importContext = this.getImportContext(filePath);
+          if (importContext) {
+            this.importContexts.set(filePath, importContext);
+          }
+          const diffWithHeader = `\n--- File: ${filePath} ---\n${contextNote}${importContext}${fileDiff}\n`;
           allDiffs.push(diffWithHeader);
+          expandedCount += context ? 1 : 0;
+          importContextCount += importContext ? 1 : 0;
         }
       }
       
+      if (this.contextMode !== 'diff') {
+        core.info(`🔎 Expanded context (${this.contextMode}) for ${expandedCount}/${changedFiles.length} files, ${this.contextTokensUsed}/${this.contextTokenBudget} context tokens used so far`);
+      }
+      
+      if (this.importContext && importContextCount > 0) {
+        core.info(`🔗 Attached imported APIs to ${importContextCount}/${changedFiles.length} files, ${this.importContextTokensUsed}/${this.importContextTokenBudget} import context tokens used so far`);
+      }
+      
       const finalDiff = allDiffs.join('\n');
       core.info(`✅ Generated diff of ${allDiffs.length} files, total size: ${Math.round(Buffer.byteLength(finalDiff, 'utf8') / 1024)}KB`);
       
@@ -241,16 +1083,49 @@ class GitHubActionsReviewer {
     } catch (error) {
       core.error(`❌ Error getting diff: ${error.message}`);
       return '';
+    } finally {
+      this.removeFuncnameGitConfig();
+    }
+  }
+
+  /**
+   * Generation settings passed to the provider request body
+   */
+  getGenerationOptions(model = this.model, schema = REVIEW_JSON_SCHEMA) {
+    return {
+      model,
+      maxTokens: this.maxTokens,
+      temperature: this.temperature,
+      // Response schema for structured output (null when the request is sent without one)
+      schema,
+      strictSchema: schema ? toStrictSchema(schema) : null
+    };
+  }
+
+  /**
+   * Whether requests to a provider ask for structured output. Unless structured_output is set,
+   * openai_compatible endpoints are sent plain requests, as many of them do not support json_schema.
+   */
+  usesStructuredOutput(target) {
+    if (this.schemaRejectedTargets.has(`${target.provider}:${target.model}`)) {
+      return false;
     }
+    
+    return this.structuredOutput ?? target.provider !== 'openai_compatible';
   }
 
   /**
-   * Estimate token count for text (rough approximation)
+   * Detect an endpoint rejecting the structured output options of a request. The provider is then
+   * sent plain requests for the rest of the run, relying on the prompt and schema validation instead.
    */
-  estimateTokenCount(prompt, diff) {
-    // Rough estimation: ~4 characters per token for code
-    const totalText = prompt + diff;
-    return Math.ceil(totalText.length / 4);
+  handleSchemaRejection(target, status, errorData) {
+    if (status !== 400 || !this.usesStructuredOutput(target) || !/response_format|json_schema|structured|tool|responseMimeType/i.test(errorData)) {
+      return false;
+    }
+    
+    core.warning(`⚠️  ${this.describeProvider(target)} rejected the structured output request (${errorData}) - retrying without a response schema`);
+    this.schemaRejectedTargets.add(`${target.provider}:${target.model}`);
+    return true;
   }
 
   /**
@@ -277,7 +1152,7 @@ class GitHubActionsReviewer {
   /**
    * Process chunks with adaptive concurrency based on chunk count
    */
-  async processChunksIntelligently(prompt, chunks) {
+  async processChunksIntelligently(prompt, chunks, providerChain = this.providerChain) {
     const results = [];
     
     if (chunks.length <= 3) {
@@ -287,30 +1162,30 @@ class GitHubActionsReviewer {
       for (let i = 0; i < chunks.length; i++) {
         core.info(`📦 Processing chunk ${i + 1}/${chunks.length}`);
         
-        const result = await this.callLLMChunk(prompt, chunks[i], i, chunks.length);
+        const result = await this.callLLMChunk(prompt, chunks[i], i, chunks.length, providerChain);
         results.push(result);
         
-        if (i + 1 < chunks.length) {
+        if (i + 1 < chunks.length && !this.getExceededUsageLimit()) {
           core.info(`⏳ Waiting ${this.batchDelayMs}ms before next request...`);
           await new Promise(resolve => setTimeout(resolve, this.batchDelayMs));
         }
       }
     } else {
       // For larger numbers, use controlled concurrency
-      const maxConcurrent = Math.min(2, chunks.length); // Max 2 concurrent requests
+      const maxConcurrent = Math.min(this.maxConcurrentRequests, chunks.length);
       core.info(`📦 Processing ${chunks.length} chunks with controlled concurrency (max ${maxConcurrent})`);
       
       for (let i = 0; i < chunks.length; i += maxConcurrent) {
         const batch = chunks.slice(i, i + maxConcurrent);
         const batchPromises = batch.map((chunk, batchIndex) => 
-          this.callLLMChunk(prompt, chunk, i + batchIndex, chunks.length)
+          this.callLLMChunk(prompt, chunk, i + batchIndex, chunks.length, providerChain)
         );
         
         const batchResults = await Promise.all(batchPromises);
         results.push(...batchResults);
         
         // Add delay between batches
-        if (i + maxConcurrent < chunks.length) {
+        if (i + maxConcurrent < chunks.length && !this.getExceededUsageLimit()) {
           core.info(`⏳ Waiting ${this.batchDelayMs}ms before next batch...`);
           await new Promise(resolve => setTimeout(resolve, this.batchDelayMs));
         }
@@ -333,60 +1208,162 @@ class GitHubActionsReviewer {
   }
 
   /**
-   * Handle token limit exceeded errors
+   * Validate LLM response structure
    */
-  handleTokenLimitExceeded(chunkIndex, totalChunks) {
-    core.warning(`⚠️  Token limit exceeded for chunk ${chunkIndex + 1}. Creating summary review...`);
+  validateLLMResponse(data, provider) {
+    if (!data) return false;
     
-    return `**CHUNK ${chunkIndex + 1}/${totalChunks} - TOKEN LIMIT EXCEEDED**
-
-This chunk was too large to process completely. Here's a summary of what was detected:
+    const providerConfig = LLM_PROVIDERS[provider];
+    return Boolean(providerConfig && providerConfig.validateResponse(data));
+  }
 
-🔍 **Large Code Changes Detected**
-- This chunk contains significant code changes
-- Manual review recommended for this section
-- Consider breaking down large files into smaller changes
+  /**
+   * Get API key for a provider (the primary provider by default)
+   */
+  getApiKey(provider = this.provider) {
+    const providerConfig = LLM_PROVIDERS[provider];
+    return providerConfig ? process.env[providerConfig.apiKeyEnv] : null;
+  }
 
-⚠️ **Recommendation**: Please review this code section manually to ensure:
-- No security vulnerabilities
-- Proper error handling
-- Performance considerations
-- Code quality standards
+  /**
+   * Whether the provider can be called: an API key is set, or the provider works without one
+   */
+  hasRequiredApiKey(provider = this.provider) {
+    const providerConfig = LLM_PROVIDERS[provider];
+    return Boolean(this.getApiKey(provider)) || Boolean(providerConfig && providerConfig.requiresApiKey === false);
+  }
 
-*Note: This is an automated summary due to token limits. Full review requires manual inspection.*`;
+  /**
+   * Get the request URL of a provider, resolving endpoint-dependent URLs
+   */
+  getProviderUrl(providerConfig, model = this.model) {
+    return typeof providerConfig.url === 'function'
+      ? providerConfig.url(this.endpoint, this.getGenerationOptions(model))
+      : providerConfig.url;
   }
 
   /**
-   * Validate LLM response structure
+   * Call LLM API for a single chunk, moving on to the next llm_fallback provider when one fails
    */
-  validateLLMResponse(data, provider) {
-    if (!data) return false;
+  async callLLMChunk(prompt, diffChunk, chunkIndex, totalChunks, providerChain = this.providerChain) {
+    const files = this.getChunkFiles(diffChunk);
+    const usage = this.startUsageTask(`Chunk ${this.usage.tasks.filter(task => task.files).length + 1}`, files);
     
-    if (provider === 'claude') {
-      return data.content && Array.isArray(data.content) && data.content.length > 0;
-    } else if (provider === 'openai') {
-      return data.choices && Array.isArray(data.choices) && data.choices.length > 0;
+    const exceededLimit = this.getExceededUsageLimit();
+    if (exceededLimit) {
+      core.warning(`⚠️  Usage limit reached (${exceededLimit}) - skipping chunk ${chunkIndex + 1}/${totalChunks}: ${files.join(', ')}`);
+      usage.skipped = true;
+      this.markUnreviewed(files, 'the usage limit was reached');
+      this.chunkStats.skipped += 1;
+      return null;
     }
     
-    return false;
+    for (const [index, target] of providerChain.entries()) {
+      if (!this.hasRequiredApiKey(target.provider)) {
+        core.warning(`⚠️  No ${target.provider.toUpperCase()} API key found. Skipping ${this.describeProvider(target)}.`);
+        continue;
+      }
+      
+      if (index > 0) {
+        core.info(`🔁 Falling back to ${this.describeProvider(target)} for chunk ${chunkIndex + 1}/${totalChunks}...`);
+      }
+      
+      const result = await this.callProviderChunk(target, prompt, diffChunk, chunkIndex, totalChunks, usage);
+      if (result !== null) {
+        return this.tagChunkReviewer(result, target, files);
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Get the files a diff chunk contains, from its file markers
+   */
+  getChunkFiles(diffChunk) {
+    return [...new Set([...diffChunk.matchAll(/^--- File: (.+) ---$/gm)].map(match => match[1]))];
   }
 
   /**
-   * Get API key for the current provider
+   * Mark blocks as diff chunk reviews, recording the provider that reviewed the chunk and the files it contained
    */
-  getApiKey() {
-    if (this.provider === 'openai') {
-      return process.env.OPENAI_API_KEY;
-    } else if (this.provider === 'claude') {
-      return process.env.CLAUDE_API_KEY;
+  tagChunkReviewer(blocks, target, files) {
+    blocks.forEach(block => {
+      block.source = 'chunk';
+      if (block.data) {
+        block.data.reviewed_by = { provider: target.provider, model: target.model };
+        block.data.files = files;
+      }
+    });
+    
+    return blocks;
+  }
+
+  /**
+   * Start recording the token usage of a task (a chunk review with its repairs, or the synthesis)
+   */
+  startUsageTask(label, files = null) {
+    const task = { label, files, requests: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0, unpriced_models: new Set(), skipped: false };
+    this.usage.tasks.push(task);
+    return task;
+  }
+
+  /**
+   * Record the token usage reported in a provider response, for the task and the whole run.
+   * Cost is estimated from MODEL_PRICING; models without a price are counted as unpriced.
+   */
+  recordUsage(task, target, data) {
+    const providerConfig = LLM_PROVIDERS[target.provider];
+    const { inputTokens, outputTokens } = providerConfig.extractUsage(data);
+    const pricing = getModelPricing(target.model);
+    const cost = pricing ? (inputTokens * pricing.input + outputTokens * pricing.output) / 1000000 : 0;
+    
+    [task, this.usage].forEach(entry => {
+      if (!pricing) {
+        entry.unpriced_models.add(target.model);
+      }
+      entry.requests += 1;
+      entry.input_tokens += inputTokens;
+      entry.output_tokens += outputTokens;
+      entry.cost_usd += cost;
+    });
+    task.reviewed_by = { provider: target.provider, model: target.model };
+    
+    return { inputTokens, outputTokens };
+  }
+
+  /**
+   * Describe the usage limit (max_tokens_total or max_cost_usd) the run has reached, or null while within both
+   */
+  getExceededUsageLimit() {
+    const totalTokens = this.usage.input_tokens + this.usage.output_tokens;
+    if (this.maxTokensTotal !== null && totalTokens >= this.maxTokensTotal) {
+      return `max_tokens_total: ${totalTokens}/${this.maxTokensTotal} tokens`;
+    }
+    if (this.maxCostUsd !== null && this.usage.cost_usd >= this.maxCostUsd) {
+      return `max_cost_usd: $${this.usage.cost_usd.toFixed(4)}/$${this.maxCostUsd}`;
     }
     return null;
   }
 
   /**
-   * Call LLM API for a single chunk with improved error handling and retry logic
+   * Describe the token usage and estimated cost of a task or of the whole run
+   */
+  describeUsage(usage) {
+    const tokens = `${usage.input_tokens.toLocaleString('en-US')} input + ${usage.output_tokens.toLocaleString('en-US')} output tokens`;
+    const unpriced = [...usage.unpriced_models];
+    let cost = `est. $${usage.cost_usd.toFixed(4)}`;
+    if (unpriced.length > 0) {
+      cost = usage.cost_usd > 0 ? `${cost}, excluding unpriced ${unpriced.join(', ')}` : `cost unknown, no pricing for ${unpriced.join(', ')}`;
+    }
+    
+    return `${tokens} (${cost})`;
+  }
+
+  /**
+   * Call one provider for a single chunk with improved error handling and retry logic
    */
-  async callLLMChunk(prompt, diffChunk, chunkIndex, totalChunks) {
+  async callProviderChunk(target, prompt, diffChunk, chunkIndex, totalChunks, usage) {
     const maxRetries = 3;
     const baseDelay = 1000; // 1 second base delay
     
@@ -394,32 +1371,28 @@ This chunk was too large to process completely. Here's a summary of what was det
       try {
         const { default: fetch } = await import('node-fetch');
         
-        const providerConfig = LLM_PROVIDERS[this.provider];
+        const providerConfig = LLM_PROVIDERS[target.provider];
         if (!providerConfig) {
-          throw new Error(`Unsupported LLM provider: ${this.provider}`);
-        }
-
-        const apiKey = this.getApiKey();
-        if (!apiKey) {
-          core.warning(`⚠️  No ${this.provider.toUpperCase()} API key found. Skipping LLM review.`);
-          return null;
+          throw new Error(`Unsupported LLM provider: ${target.provider}`);
         }
 
-        // Estimate token count for this chunk
-        const estimatedTokens = this.estimateTokenCount(prompt, diffChunk);
-        if (estimatedTokens > 180000) { // Leave buffer for Claude's 200k limit
-          core.warning(`⚠️  Chunk ${chunkIndex + 1} estimated at ${estimatedTokens} tokens - may exceed limits`);
-        }
+        const apiKey = this.getApiKey(target.provider);
 
         // Create chunk-specific prompt with better context
         const chunkPrompt = this.createChunkPrompt(prompt, chunkIndex, totalChunks);
+
+        // Chunks are planned to fit every model of the chain, but warn if this one still does not fit
+        const requestTokens = countTokens(`${chunkPrompt}\n\n${diffChunk}`, target.model);
+        if (requestTokens + this.maxTokens > target.contextWindow) { // The response shares the context window
+          core.warning(`⚠️  Chunk ${chunkIndex + 1} has ${requestTokens} tokens - with max_tokens it may exceed the ${target.model} context window (${target.contextWindow} tokens)`);
+        }
         
-        core.info(`🤖 Calling ${this.provider.toUpperCase()} LLM for chunk ${chunkIndex + 1}/${totalChunks} (attempt ${attempt}/${maxRetries})...`);
+        core.info(`🤖 Calling ${target.provider.toUpperCase()} LLM for chunk ${chunkIndex + 1}/${totalChunks} (attempt ${attempt}/${maxRetries})...`);
         
-        const response = await fetch(providerConfig.url, {
+        const response = await fetch(this.getProviderUrl(providerConfig, target.model), {
           method: 'POST',
-          headers: providerConfig.headers(apiKey),
-          body: JSON.stringify(providerConfig.body(chunkPrompt, diffChunk)),
+          headers: providerConfig.headers(apiKey, this.endpoint),
+          body: JSON.stringify(providerConfig.body(chunkPrompt, diffChunk, this.getGenerationOptions(target.model, this.usesStructuredOutput(target) ? REVIEW_JSON_SCHEMA : null))),
           timeout: 60000 // 60 second timeout
         });
 
@@ -427,16 +1400,19 @@ This chunk was too large to process completely. Here's a summary of what was det
           const errorText = await response.text();
           const errorData = this.parseErrorResponse(errorText);
           
-          if (response.status === 429) {
+          if (this.handleSchemaRejection(target, response.status, errorData)) {
+            attempt -= 1; // The rejected request does not count as a failed attempt
+            continue;
+          } else if (response.status === 429) {
             // Rate limit - exponential backoff
             const retryAfter = parseInt(response.headers.get('retry-after')) || Math.pow(2, attempt);
             core.warning(`⚠️  Rate limit hit for chunk ${chunkIndex + 1}. Waiting ${retryAfter}s (attempt ${attempt}/${maxRetries})...`);
             await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
             continue; // Retry with next attempt
           } else if (response.status === 400 && errorData.includes('token')) {
-            // Token limit exceeded
+            // Token limit exceeded - retrying cannot help, but a fallback model with a larger context window may
             core.error(`❌ Token limit exceeded for chunk ${chunkIndex + 1}: ${errorData}`);
-            return this.handleTokenLimitExceeded(chunkIndex, totalChunks);
+            return null;
           } else if (response.status >= 500) {
             // Server error - retry with exponential backoff
             const delay = baseDelay * Math.pow(2, attempt - 1);
@@ -444,26 +1420,34 @@ This chunk was too large to process completely. Here's a summary of what was det
             await new Promise(resolve => setTimeout(resolve, delay));
             continue;
           } else {
-            throw new Error(`${this.provider.toUpperCase()} API error: ${response.status} ${response.statusText} - ${errorData}`);
+            throw new Error(`${target.provider.toUpperCase()} API error: ${response.status} ${response.statusText} - ${errorData}`);
           }
         }
 
         const data = await response.json();
+        const { inputTokens, outputTokens } = this.recordUsage(usage, target, data);
+        
+        // Safety blocks are deterministic, so retrying would be blocked the same way
+        const blockReason = providerConfig.getBlockReason && providerConfig.getBlockReason(data);
+        if (blockReason) {
+          core.error(`❌ ${target.provider.toUpperCase()} refused to review chunk ${chunkIndex + 1}: ${blockReason}`);
+          return null;
+        }
         
         // Validate response structure
-        if (!this.validateLLMResponse(data, this.provider)) {
-          throw new Error(`Invalid response structure from ${this.provider.toUpperCase()} API`);
+        if (!this.validateLLMResponse(data, target.provider)) {
+          throw new Error(`Invalid response structure from ${target.provider.toUpperCase()} API`);
         }
         
         const result = providerConfig.extractResponse(data);
         
         // Validate extracted response
         if (!result || typeof result !== 'string' || result.trim().length === 0) {
-          throw new Error(`Empty or invalid response from ${this.provider.toUpperCase()} API`);
+          throw new Error(`Empty or invalid response from ${target.provider.toUpperCase()} API`);
         }
         
-        core.info(`✅ Received valid response for chunk ${chunkIndex + 1}/${totalChunks} (${result.length} chars)`);
-        return result;
+        core.info(`✅ Received valid response for chunk ${chunkIndex + 1}/${totalChunks} (${result.length} chars, ${inputTokens} input + ${outputTokens} output tokens)`);
+        return await this.repairReviewResponse(target, result, chunkIndex, usage);
         
       } catch (error) {
         if (error.message.includes('Cannot find module') || error.message.includes('node-fetch')) {
@@ -486,43 +1470,259 @@ This chunk was too large to process completely. Here's a summary of what was det
   }
 
   /**
-   * Call LLM API with improved chunking and intelligent processing
+   * Find the end of the JSON object or array starting at `start`, ignoring brackets inside strings.
+   * Returns -1 when the value is not terminated.
+   */
+  findJsonEnd(text, start) {
+    let depth = 0;
+    let inString = false;
+    
+    for (let index = start; index < text.length; index++) {
+      const char = text[index];
+      if (inString) {
+        if (char === '\\') {
+          index += 1; // Skip the escaped character
+        } else if (char === '"') {
+          inString = false;
+        }
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        depth += 1;
+      } else if ((char === '}' || char === ']') && --depth === 0) {
+        return index + 1;
+      }
+    }
+    
+    return -1;
+  }
+
+  /**
+   * Parse the JSON objects of a model response into blocks of `{ data }`, or `{ data: null, text, error }`
+   * for a block that does not parse. A structured output response is a bare JSON object; otherwise every
+   * ```json block is read up to its matching closing brace, so a ``` inside a string value cannot cut it short.
+   * Free text without any JSON becomes a single `{ data: null, text }` block.
+   */
+  parseJsonBlocks(text) {
+    const response = (text || '').trim();
+    const toBlock = source => {
+      try {
+        const data = JSON.parse(source);
+        return data && typeof data === 'object' && !Array.isArray(data)
+          ? { data }
+          : { data: null, text: source, error: 'invalid JSON: expected a JSON object' };
+      } catch (parseError) {
+        return { data: null, text: source, error: `invalid JSON: ${parseError.message}` };
+      }
+    };
+    
+    if (response.startsWith('{')) {
+      const block = toBlock(response);
+      if (block.data) {
+        return [block];
+      }
+    }
+    
+    const blocks = [];
+    const fence = /```json\s*/g;
+    let match;
+    while ((match = fence.exec(response)) !== null) {
+      const start = match.index + match[0].length;
+      const end = response[start] === '{' ? this.findJsonEnd(response, start) : -1;
+      // An unterminated object is cut at the next fence, so its parse error is reported
+      const source = end === -1 ? response.slice(start).split('```')[0].trim() : response.slice(start, end);
+      blocks.push(toBlock(source));
+      fence.lastIndex = end === -1 ? start + source.length : end;
+    }
+    
+    if (blocks.length === 0) {
+      return [{ data: null, text: response }];
+    }
+    
+    return blocks;
+  }
+
+  /**
+   * Format review blocks as text, for logging and the text-based merge decision fallback
+   */
+  formatReviewBlocks(blocks) {
+    return blocks
+      .map(block => (block.data ? `\`\`\`json\n${JSON.stringify(block.data, null, 2)}\n\`\`\`` : block.text))
+      .join('\n\n');
+  }
+
+  /**
+   * Validate the review blocks of a chunk response against the review schema, returning error messages
+   */
+  findReviewSchemaErrors(blocks) {
+    return blocks.flatMap((block, index) => {
+      const label = blocks.length > 1 ? `JSON block ${index + 1}: ` : '';
+      if (!block.data) {
+        return [`${label}${block.error || 'invalid JSON: the response contains no ```json block with the review object'}`];
+      }
+      return validateReview(block.data).map(error => `${label}${error}`);
+    });
+  }
+
+  /**
+   * Build the prompt of a repair request listing the schema problems of the previous response
+   */
+  createRepairPrompt(errors) {
+    return `Your previous code review response does not match the required JSON schema. Problems found:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the complete, corrected review as a single \`\`\`json block that matches the schema below.
+Keep every finding and its details; only fix the problems listed above.
+
+Schema:
+${JSON.stringify(REVIEW_JSON_SCHEMA, null, 2)}
+
+Previous response:`;
+  }
+
+  /**
+   * Send a single request to a provider and return the extracted text (no retries),
+   * recording its token usage in the given usage task
+   */
+  async requestCompletion(target, prompt, content, usage, schema = REVIEW_JSON_SCHEMA) {
+    const { default: fetch } = await import('node-fetch');
+    const providerConfig = LLM_PROVIDERS[target.provider];
+    
+    const response = await fetch(this.getProviderUrl(providerConfig, target.model), {
+      method: 'POST',
+      headers: providerConfig.headers(this.getApiKey(target.provider), this.endpoint),
+      body: JSON.stringify(providerConfig.body(prompt, content, this.getGenerationOptions(target.model, this.usesStructuredOutput(target) ? schema : null))),
+      timeout: 60000
+    });
+    
+    if (!response.ok) {
+      const errorData = this.parseErrorResponse(await response.text());
+      if (this.handleSchemaRejection(target, response.status, errorData)) {
+        return this.requestCompletion(target, prompt, content, usage, schema);
+      }
+      throw new Error(`${target.provider.toUpperCase()} API error: ${response.status} ${response.statusText} - ${errorData}`);
+    }
+    
+    const data = await response.json();
+    this.recordUsage(usage, target, data);
+    const blockReason = providerConfig.getBlockReason && providerConfig.getBlockReason(data);
+    if (blockReason) {
+      throw new Error(blockReason);
+    }
+    if (!this.validateLLMResponse(data, target.provider)) {
+      throw new Error(`Invalid response structure from ${target.provider.toUpperCase()} API`);
+    }
+    
+    return providerConfig.extractResponse(data) || '';
+  }
+
+  /**
+   * Ask the model to fix a response that does not match the review schema, keeping the best version,
+   * and return its review blocks. Never throws: an unrepaired response is returned as is so its findings are not lost.
+   */
+  async repairReviewResponse(target, response, chunkIndex, usage) {
+    let best = response;
+    let bestBlocks = this.parseJsonBlocks(response);
+    let bestErrors = this.findReviewSchemaErrors(bestBlocks);
+    // Unparseable JSON loses every finding, so it weighs more than any number of field errors
+    const unparsed = errors => errors.filter(error => error.includes('invalid JSON')).length;
+    const isImprovement = errors => unparsed(errors) < unparsed(bestErrors)
+      || (unparsed(errors) === unparsed(bestErrors) && errors.length < bestErrors.length);
+    
+    for (let attempt = 1; attempt <= CONFIG.MAX_REPAIR_ATTEMPTS && bestErrors.length > 0; attempt++) {
+      const exceededLimit = this.getExceededUsageLimit();
+      if (exceededLimit) {
+        core.warning(`⚠️  Usage limit reached (${exceededLimit}) - not repairing chunk ${chunkIndex + 1}`);
+        break;
+      }
+      
+      core.warning(`⚠️  Chunk ${chunkIndex + 1} response does not match the review schema (${bestErrors.length} problems), requesting a repair (attempt ${attempt}/${CONFIG.MAX_REPAIR_ATTEMPTS})...`);
+      bestErrors.slice(0, 5).forEach(error => core.info(`   - ${error}`));
+      
+      try {
+        const repaired = await this.requestCompletion(target, this.createRepairPrompt(bestErrors), best, usage);
+        const repairedBlocks = this.parseJsonBlocks(repaired);
+        const repairedErrors = this.findReviewSchemaErrors(repairedBlocks);
+        if (isImprovement(repairedErrors)) {
+          best = repaired;
+          bestBlocks = repairedBlocks;
+          bestErrors = repairedErrors;
+        }
+      } catch (error) {
+        core.warning(`⚠️  Repair request failed for chunk ${chunkIndex + 1}: ${error.message}`);
+        break;
+      }
+    }
+    
+    if (bestErrors.length > 0) {
+      core.warning(`⚠️  Chunk ${chunkIndex + 1} still does not match the review schema: ${bestErrors.slice(0, 3).join('; ')}`);
+    } else if (best !== response) {
+      core.info(`🔧 Repaired chunk ${chunkIndex + 1} response to match the review schema`);
+    }
+    
+    return bestBlocks;
+  }
+
+  /**
+   * Call LLM API with improved chunking and intelligent processing.
+   * Returns the review blocks of every reviewed chunk, or null when no chunk was reviewed.
    */
-  async callLLM(prompt, diff) {
+  async callLLM(prompt, diff, providerChain = this.providerChain, failedFiles = new Set()) {
     try {
-      const apiKey = this.getApiKey();
-      if (!apiKey) {
-        core.warning(`⚠️  No ${this.provider.toUpperCase()} API key found. Skipping LLM review.`);
+      if (!providerChain.some(target => this.hasRequiredApiKey(target.provider))) {
+        core.warning(`⚠️  No ${providerChain[0].provider.toUpperCase()} API key found. Skipping LLM review.`);
         return null;
       }
 
+      const skippedBefore = this.chunkStats.skipped;
       const diffSize = Buffer.byteLength(diff, 'utf8');
-      const estimatedTokens = this.estimateTokenCount(prompt, diff);
-      
-      core.info(`📊 Diff analysis: ${Math.round(diffSize / 1024)}KB, ~${estimatedTokens} tokens`);
+      const diffTokens = countTokens(diff, providerChain[0].model);
       
-      // If diff is small enough, process it normally
-      if (diffSize <= this.chunkSize && estimatedTokens < 150000) {
-        core.info(`🤖 Processing single diff chunk (${Math.round(diffSize / 1024)}KB, ~${estimatedTokens} tokens)...`);
-        return await this.callLLMChunk(prompt, diff, 0, 1);
-      }
+      core.info(`📊 Diff analysis: ${Math.round(diffSize / 1024)}KB, ${diffTokens} tokens (${describeTokenizer(providerChain[0].model)})`);
       
-      // Split diff into chunks with intelligent sizing
-      const chunks = this.splitDiffIntoChunks(diff);
+      // Pack the diff into chunks that fit the token budget of the model
+      const chunks = this.planChunks(prompt, diff, providerChain);
       
       if (chunks.length === 0) {
         core.warning('⚠️  No chunks created from diff');
         return null;
       }
       
+      // If the whole diff fits in one chunk, process it normally
+      if (chunks.length === 1) {
+        core.info(`🤖 Processing single diff chunk (${Math.round(diffSize / 1024)}KB, ${diffTokens} tokens)...`);
+        const result = await this.callLLMChunk(prompt, diff, 0, 1, providerChain);
+        const skipped = this.chunkStats.skipped > skippedBefore;
+        this.chunkStats.total += 1;
+        this.chunkStats.failed += result === null && !skipped ? 1 : 0;
+        if (result === null && !skipped) {
+          this.getChunkFiles(diff).forEach(file => failedFiles.add(file));
+        }
+        // A chunk skipped by the usage limit is not a failure - its files are reported as unreviewed
+        return result || (skipped ? [] : null);
+      }
+      
       core.info(`🚀 Processing ${chunks.length} chunks with intelligent batching...`);
       
       // Process chunks with adaptive concurrency
-      const results = await this.processChunksIntelligently(prompt, chunks);
+      const results = await this.processChunksIntelligently(prompt, chunks, providerChain);
       
       // Filter out failed responses and combine results
       const validResults = results.filter(result => result !== null);
+      const skippedCount = this.chunkStats.skipped - skippedBefore;
+      this.chunkStats.total += chunks.length;
+      this.chunkStats.failed += chunks.length - validResults.length - skippedCount;
+      // Files of skipped chunks are already unreviewed, the other chunks without a result failed
+      chunks.forEach((chunk, index) => {
+        if (results[index] === null) {
+          this.getChunkFiles(chunk).filter(file => !this.unreviewedFiles.has(file)).forEach(file => failedFiles.add(file));
+        }
+      });
       
+      if (validResults.length === 0 && skippedCount === chunks.length) {
+        core.warning('⚠️  No chunks reviewed - the usage limit was reached');
+        return [];
+      }
       if (validResults.length === 0) {
         core.error('❌ All LLM API calls failed');
         return null;
@@ -533,7 +1733,7 @@ This chunk was too large to process completely. Here's a summary of what was det
       }
       
       // Combine all responses with improved logic
-      const combinedResponse = this.combineLLMResponses(validResults, chunks.length);
+      const combinedResponse = this.combineLLMResponses(validResults);
       
       core.info(`✅ Successfully processed ${validResults.length}/${chunks.length} chunks`);
       return combinedResponse;
@@ -545,337 +1745,1318 @@ This chunk was too large to process completely. Here's a summary of what was det
   }
 
   /**
-   * Combine multiple LLM responses into a single coherent review with improved analysis
+   * Combine the review blocks of several chunks or language groups, in order
    */
-  combineLLMResponses(responses, totalChunks) {
-    if (responses.length === 0) {
-      return 'No review results available.';
+  combineLLMResponses(responses) {
+    return responses.flat();
+  }
+
+  /**
+   * Check if the normalized review should block the merge under the configured policy
+   */
+  checkMergeDecision(review) {
+    // Files left unreviewed could hide anything, so an incomplete review is never approved
+    const incomplete = this.describeIncompleteReview();
+    if (incomplete) {
+      core.info(`🚨 Review incomplete: ${incomplete}`);
+      return true;
     }
     
-    if (responses.length === 1) {
-      return responses[0];
+    if (!review.hasJson) {
+      core.warning('⚠️  JSON not found in response, falling back to text-based parsing');
+      return this.checkMergeDecisionLegacy(review.response);
     }
     
-    // Extract and categorize information from each response
-    let combinedResponse = '';
+    core.info(`📊 Found ${review.chunks.length} chunk reviews in response`);
     
-    responses.forEach((response) => {
-      combinedResponse += response
-    });
+    // Per-chunk and synthesized recommendations are informational - their issues already go through the configured policy
+    review.chunks
+      .filter(chunk => chunk.final_recommendation)
+      .forEach(chunk => core.info(`🤖 Chunk ${chunk.chunk} final recommendation: ${chunk.final_recommendation}`));
+    if (review.synthesis) {
+      core.info(`🧠 Synthesized final recommendation: ${review.synthesis.final_recommendation}`);
+    }
     
-    return combinedResponse;
-  }
-
-  /**
-   * Check if LLM response indicates merge should be blocked based on JSON analysis
-   */
-  checkMergeDecision(llmResponse) {
-    try {
-      // Try to extract all JSON objects from the response
-      const jsonMatches = llmResponse.match(/```json\s*([\s\S]*?)\s*```/g);
-      
-      if (jsonMatches && jsonMatches.length > 0) {
-        core.info(`📊 Found ${jsonMatches.length} JSON objects in response`);
-        
-        // Parse all JSON objects and combine their data
-        const allIssues = [];
-        let hasBlockingRecommendation = false;
-        let totalCriticalCount = 0;
-        
-        jsonMatches.forEach((match, index) => {
-          try {
-            const jsonStr = match.replace(/```json\s*/, '').replace(/\s*```/, '');
-            const reviewData = JSON.parse(jsonStr);
-            
-            core.info(`📋 Parsing JSON object ${index + 1}/${jsonMatches.length}: ${reviewData.issues?.length || 0} issues`);
-            
-            // Check final recommendation from this chunk
-            if (reviewData.final_recommendation) {
-              if (reviewData.final_recommendation === 'do_not_merge') {
-                hasBlockingRecommendation = true;
-                core.info(`🤖 Chunk ${index + 1} final recommendation: ${reviewData.final_recommendation} (BLOCK)`);
-              } else {
-                core.info(`🤖 Chunk ${index + 1} final recommendation: ${reviewData.final_recommendation} (APPROVE)`);
-              }
-            }
-            
-            // Collect issues
-            if (reviewData.issues && Array.isArray(reviewData.issues)) {
-              reviewData.issues.forEach(issue => {
-                // Add chunk context to issue
-                const issueWithContext = {
-                  ...issue,
-                  chunk: index + 1,
-                  originalId: issue.id
-                };
-                allIssues.push(issueWithContext);
-              });
-            }
-            
-            // Collect metrics
-            if (reviewData.metrics) {
-              totalCriticalCount += reviewData.metrics.critical_count || 0;
-            }
-            
-          } catch (parseError) {
-            core.warning(`⚠️  Error parsing JSON object ${index + 1}: ${parseError.message}`);
-          }
-        });
+    core.info(`⚖️  Merge policy: ${this.describeBlockingPolicy()}`);
+    
+    const blockingIssues = review.issues.filter(issue => this.isBlockingIssue(issue));
+    if (blockingIssues.length > 0) {
+      core.info(`🚨 Found ${blockingIssues.length} critical issues matching the merge policy across all chunks`);
+      core.info(`   Issues: ${blockingIssues.map(i => `${i.id} (${i.category}, ${this.describeIssueSource(i)}, score: ${i.severity_score?.toFixed(1) || 'N/A'})`).join(', ')}`);
+      return true; // Block merge
+    }
+    
+    const suggestionCount = review.metrics.suggestion_count;
+    if (this.blockingPolicy.maxSuggestions !== null && suggestionCount > this.blockingPolicy.maxSuggestions) {
+      core.info(`🚨 Found ${suggestionCount} suggestions, more than the allowed ${this.blockingPolicy.maxSuggestions}`);
+      return true; // Block merge
+    }
+    
+    // Log all issues for transparency with severity scores
+    if (review.issues.length > 0) {
+      core.info(`📋 All issues found: ${review.issues.map(issue => 
+        `${issue.severity_proposed.toUpperCase()} ${issue.id}: ${issue.category} (${this.describeIssueSource(issue)}, score: ${issue.severity_score?.toFixed(1) || 'N/A'}, confidence: ${issue.confidence})`
+      ).join(', ')}`);
+    }
+    
+    core.info('✅ No issues matching the merge policy across all chunks - safe to merge');
+    return false;
+  }
+
+  /**
+   * Record files the review does not cover, and why
+   */
+  markUnreviewed(files, reason) {
+    if (files.length === 0) {
+      return;
+    }
+    
+    files.forEach(file => this.unreviewedFiles.add(file));
+    this.unreviewedReasons.add(reason);
+  }
+
+  /**
+   * Describe why the review does not cover every changed file, or null when it does
+   */
+  describeIncompleteReview() {
+    if (this.unreviewedFiles.size === 0) {
+      return null;
+    }
+    
+    return `${this.unreviewedFiles.size} files were not reviewed because ${[...this.unreviewedReasons].join(' and ')}`;
+  }
+
+  /**
+   * Legacy text-based merge decision checking (fallback)
+   */
+  checkMergeDecisionLegacy(llmResponse) {
+    const response = llmResponse.toLowerCase();
+
+    // Check for explicit approval phrases
+    for (const phrase of CONFIG.APPROVAL_PHRASES) {
+      if (response.includes(phrase)) {
+        core.info(`✅ Found approval phrase: "${phrase}"`);
+        return false; // Safe to merge
+      }
+    }
+
+    // Check for explicit blocking phrases
+    for (const phrase of CONFIG.BLOCKING_PHRASES) {
+      if (response.includes(phrase)) {
+        core.info(`🚨 Found blocking phrase: "${phrase}"`);
+        return true; // Block merge
+      }
+    }
+
+    // Check for critical issue indicators
+    let criticalIssueCount = 0;
+    for (const issue of CONFIG.CRITICAL_ISSUES) {
+      if (response.includes(issue)) {
+        criticalIssueCount++;
+      }
+    }
+    
+    if (criticalIssueCount >= 2) {
+      core.info(`🚨 Found ${criticalIssueCount} critical issues without explicit approval`);
+      return true;
+    }
+    
+    core.info('⚠️  No explicit merge decision found, defaulting to allow merge');
+    return false;
+  }
+
+  /**
+   * Describe which provider reviewed each chunk, as a single entry when one provider reviewed them all
+   */
+  describeChunkReviewers(review) {
+    const reviewers = review.chunks
+      .filter(chunk => chunk.reviewed_by)
+      .map(chunk => ({ chunk: chunk.chunk, label: this.describeProvider(chunk.reviewed_by) }));
+    const labels = [...new Set(reviewers.map(reviewer => reviewer.label))];
+    
+    if (labels.length <= 1) {
+      return labels[0] || this.describeProvider(this.providerChain[0]);
+    }
+    
+    return reviewers.map(reviewer => `Chunk ${reviewer.chunk}: ${reviewer.label}`).join(', ');
+  }
+
+  /**
+   * Build the normalized review that the decision, comment, report and logging code consume.
+   * Only diff chunk reviews are numbered as chunks; the summaries of the other blocks (issues of other
+   * consensus models, issues carried over from the previous review) become notes, and their issues are
+   * attributed to the chunk that reviewed their file. Issues reported by several chunks are merged into
+   * one issue with `occurrences`, ids are renumbered to be unique across the review, and metrics are
+   * counted from the merged issues.
+   */
+  buildReview(blocks = []) {
+    const parsed = blocks.filter((block, index) => {
+      if (!block.data && block.error) {
+        core.warning(`⚠️  Error parsing JSON object ${index + 1}: ${block.error}`);
+      }
+      return block.data;
+    });
+    const chunks = parsed
+      .filter(block => block.source === 'chunk')
+      .map(({ data }, index) => ({
+        chunk: index + 1,
+        summary: data.summary,
+        files: Array.isArray(data.files) ? data.files : [],
+        reviewed_by: data.reviewed_by,
+        final_recommendation: data.final_recommendation
+      }));
+    const chunkOfFile = file => (chunks.find(chunk => chunk.files.includes(file)) || { chunk: null }).chunk;
+    
+    // Numbers may arrive as strings (or not at all) when the schema repair failed - coerce them into their range, else use the fallback
+    const toNumber = (value, max, fallback) => {
+      const number = typeof value === 'number' || (typeof value === 'string' && value.trim() !== '') ? Number(value) : NaN;
+      return Number.isFinite(number) ? Math.min(Math.max(number, 0), max) : fallback;
+    };
+    
+    let chunkNumber = 0;
+    // Default the fields every consumer relies on, so a loosely formatted issue cannot break the comment or decision
+    const issues = parsed.flatMap(block => {
+      const chunk = block.source === 'chunk' ? ++chunkNumber : null;
+      return (Array.isArray(block.data.issues) ? block.data.issues : []).filter(issue => issue && typeof issue === 'object').map(issue => ({
+        ...issue,
+        category: issue.category || 'general',
+        severity_proposed: issue.severity_proposed === 'critical' ? 'critical' : 'suggestion',
+        lines: Array.isArray(issue.lines) ? issue.lines : [],
+        severity_score: toNumber(issue.severity_score, 5, null),
+        confidence: toNumber(issue.confidence, 1, 0),
+        chunk: chunk || (issue.carried_over ? null : chunkOfFile(issue.file))
+      }));
+    });
+    const mergedIssues = this.renumberIssues(this.mergeDuplicateIssues(issues));
+    
+    if (mergedIssues.length < issues.length) {
+      core.info(`🧩 Merged ${issues.length - mergedIssues.length} duplicate issues reported by several chunks`);
+    }
+    
+    return {
+      response: this.formatReviewBlocks(blocks),
+      hasJson: parsed.length > 0,
+      chunks,
+      notes: parsed.filter(block => block.source !== 'chunk' && block.data.summary).map(block => block.data.summary),
+      issues: mergedIssues,
+      // Set by synthesizeChunkReviews when synthesize_review is enabled
+      synthesis: null,
+      metrics: {
+        critical_count: mergedIssues.filter(issue => issue.severity_proposed === 'critical').length,
+        suggestion_count: mergedIssues.filter(issue => issue.severity_proposed === 'suggestion').length,
+        total_issues: mergedIssues.length
+      }
+    };
+  }
+
+  /**
+   * Get the lowercase words of an issue description, to compare findings worded by different chunks
+   */
+  getIssueWords(issue) {
+    return new Set((issue.why_it_matters || '').toLowerCase().match(/[a-z0-9_]+/g) || []);
+  }
+
+  /**
+   * Whether two issues from different chunks report the same problem: same category and guideline rule,
+   * and either the same location or descriptions sharing at least CONFIG.DUPLICATE_ISSUE_SIMILARITY of their words
+   */
+  isDuplicateIssue(first, second) {
+    if (first.category !== second.category || (first.rule || null) !== (second.rule || null)) {
+      return false;
+    }
+    if (this.issuesMatch(first, second)) {
+      return true;
+    }
+    
+    const [firstWords, secondWords] = [this.getIssueWords(first), this.getIssueWords(second)];
+    const shared = [...firstWords].filter(word => secondWords.has(word)).length;
+    const total = new Set([...firstWords, ...secondWords]).size;
+    return total > 0 && shared / total >= CONFIG.DUPLICATE_ISSUE_SIMILARITY;
+  }
+
+  /**
+   * Group duplicate issues reported by different chunks and combine each group into one issue.
+   * Carried-over issues were already merged by the previous review and are kept as they are.
+   */
+  mergeDuplicateIssues(issues) {
+    const groups = [];
+    
+    issues.forEach(issue => {
+      const group = issue.carried_over ? null : groups.find(candidate => 
+        !candidate.carriedOver && !candidate.chunks.has(issue.chunk) && this.isDuplicateIssue(candidate.issues[0], issue)
+      );
+      if (group) {
+        group.chunks.add(issue.chunk);
+        group.issues.push(issue);
+      } else {
+        groups.push({ carriedOver: Boolean(issue.carried_over), chunks: new Set([issue.chunk]), issues: [issue] });
+      }
+    });
+    
+    return groups.map(group => this.combineDuplicateIssues(group));
+  }
+
+  /**
+   * Combine a group of duplicate issues: the most severe report is kept, its score and confidence
+   * are the highest among reports of the same severity, and the other locations become occurrences
+   */
+  combineDuplicateIssues(group) {
+    const severityRank = issue => (issue.severity_proposed === 'critical' ? 1 : 0);
+    const [primary] = [...group.issues].sort((a, b) => 
+      severityRank(b) - severityRank(a) || (b.severity_score || 0) - (a.severity_score || 0) || (b.confidence || 0) - (a.confidence || 0)
+    );
+    const sameSeverity = group.issues.filter(issue => issue.severity_proposed === primary.severity_proposed);
+    
+    const locationKey = location => `${location.file}:${(Array.isArray(location.lines) ? location.lines : []).join('-')}`;
+    const seen = new Set([locationKey(primary)]);
+    const occurrences = [];
+    group.issues
+      .flatMap(issue => [issue, ...(Array.isArray(issue.occurrences) ? issue.occurrences : [])])
+      .filter(location => location && location.file && !seen.has(locationKey(location)))
+      .forEach(location => {
+        seen.add(locationKey(location));
+        occurrences.push({ file: location.file, lines: location.lines });
+      });
+    
+    const { chunk, ...issue } = primary;
+    return {
+      ...issue,
+      severity_score: Math.max(...sameSeverity.map(item => item.severity_score || 0)) || primary.severity_score,
+      confidence: Math.max(...sameSeverity.map(item => item.confidence || 0)) || primary.confidence,
+      occurrences,
+      chunks: [...group.chunks].filter(chunk => chunk !== null).sort((a, b) => a - b)
+    };
+  }
+
+  /**
+   * Give every issue an id that is unique across the review, numbered per category (SEC-01, PERF-01, ...)
+   */
+  renumberIssues(issues) {
+    const counters = {};
+    
+    return issues.map(issue => {
+      const prefix = CONFIG.ISSUE_ID_PREFIXES[issue.category] || (issue.category || 'issue').toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+      counters[prefix] = (counters[prefix] || 0) + 1;
+      return { ...issue, id: `${prefix}-${String(counters[prefix]).padStart(2, '0')}` };
+    });
+  }
+
+  /**
+   * Build the prompt of the synthesis request that combines the findings of every chunk
+   */
+  createSynthesisPrompt() {
+    return `This pull request was too large for a single review, so its diff was reviewed in separate chunks.
+Below are the findings of every chunk: the files each chunk contained, its summary, and the issues found
+(duplicates are already merged, \`chunks\` lists the chunks that reported each issue). You do not see the diff.
+
+Based only on these findings:
+- Write one overall summary of the pull request and its issues
+- Assess the overall risk of merging, considering how findings from different chunks combine
+- List interactions between files that were reviewed in different chunks and can cause problems together
+  (e.g. a changed function signature and its callers, or unvalidated input passed to code in another file);
+  reference related issue ids, and return an empty list when there are none
+- Give a final recommendation
+
+Return a single \`\`\`json block that matches this schema:
+${JSON.stringify(SYNTHESIS_JSON_SCHEMA, null, 2)}
+
+Chunk findings:`;
+  }
+
+  /**
+   * Reduce the findings of a chunked review into one overall summary, risk assessment and recommendation.
+   * Only the findings are sent, not the diff. Returns null when every provider fails, so the comment
+   * falls back to the per-chunk summaries.
+   */
+  async synthesizeChunkReviews(review) {
+    const exceededLimit = this.getExceededUsageLimit();
+    if (exceededLimit) {
+      core.warning(`⚠️  Usage limit reached (${exceededLimit}) - skipping the review synthesis`);
+      return null;
+    }
+    
+    const usage = this.startUsageTask('Synthesis');
+    const findings = {
+      chunks: review.chunks.map(({ chunk, files, summary }) => ({ chunk, files, summary })),
+      issues: review.issues.map(issue => ({
+        id: issue.id,
+        category: issue.category,
+        severity_proposed: issue.severity_proposed,
+        severity_score: issue.severity_score,
+        confidence: issue.confidence,
+        file: issue.file,
+        lines: issue.lines,
+        occurrences: issue.occurrences,
+        chunks: issue.chunks,
+        carried_over: issue.carried_over,
+        why_it_matters: issue.why_it_matters
+      }))
+    };
+    
+    for (const target of this.providerChain) {
+      if (!this.hasRequiredApiKey(target.provider)) {
+        continue;
+      }
+      
+      core.info(`🧠 Synthesizing ${review.chunks.length} chunk reviews with ${this.describeProvider(target)}...`);
+      try {
+        const response = await this.requestCompletion(target, this.createSynthesisPrompt(), JSON.stringify(findings, null, 2), usage, SYNTHESIS_JSON_SCHEMA);
+        const [block] = this.parseJsonBlocks(response);
+        if (!block.data) {
+          throw new Error(block.error);
+        }
+        const synthesis = block.data;
+        const errors = validateSynthesis(synthesis);
         
-        // Check if any chunk recommended blocking
-        if (hasBlockingRecommendation) {
-          core.info(`🚨 At least one chunk recommended blocking the merge`);
-          return true;
+        if (errors.length === 0) {
+          core.info(`✅ Synthesized review: ${synthesis.interactions.length} cross-chunk interactions, recommendation ${synthesis.final_recommendation}`);
+          return {
+            ...synthesis,
+            // Record which chunks reviewed the files of each interaction
+            interactions: synthesis.interactions.map(interaction => ({
+              ...interaction,
+              chunks: review.chunks
+                .filter(chunk => chunk.files.some(file => interaction.files.includes(file)))
+                .map(chunk => chunk.chunk)
+            })),
+            reviewed_by: { provider: target.provider, model: target.model }
+          };
         }
         
-        // Analyze all issues based on severity and confidence
-        if (allIssues.length > 0) {
-          const criticalIssues = allIssues.filter(issue => 
-            issue.severity_proposed === 'critical' && issue.confidence >= 0.6
-          );
-          
-          const highConfidenceCritical = criticalIssues.length;
-          
-          if (highConfidenceCritical > 0) {
-            core.info(`🚨 Found ${highConfidenceCritical} critical issues with confidence ≥ 0.6 across all chunks`);
-            core.info(`   Issues: ${criticalIssues.map(i => `${i.originalId} (${i.category}, Chunk ${i.chunk}, score: ${i.severity_score?.toFixed(1) || 'N/A'})`).join(', ')}`);
-            return true; // Block merge
-          }
-          
-          // Log all issues for transparency with severity scores
-          const allIssuesSummary = allIssues.map(issue => 
-            `${issue.severity_proposed.toUpperCase()} ${issue.originalId}: ${issue.category} (Chunk ${issue.chunk}, score: ${issue.severity_score?.toFixed(1) || 'N/A'}, confidence: ${issue.confidence})`
-          );
-          
-          if (allIssuesSummary.length > 0) {
-            core.info(`📋 All issues found: ${allIssuesSummary.join(', ')}`);
+        core.warning(`⚠️  Synthesis from ${this.describeProvider(target)} does not match the schema: ${errors.slice(0, 3).join('; ')}`);
+      } catch (error) {
+        core.warning(`⚠️  Synthesis with ${this.describeProvider(target)} failed: ${error.message}`);
+      }
+    }
+    
+    core.warning('⚠️  Review synthesis failed - showing the per-chunk summaries instead');
+    return null;
+  }
+
+  /**
+   * Describe where an issue was found: the chunks that reported it, or the previous review
+   */
+  describeIssueSource(issue) {
+    if (issue.carried_over) {
+      return 'Previous review';
+    }
+    if (issue.chunks.length === 0) {
+      return 'Consensus review';
+    }
+    
+    return `${issue.chunks.length > 1 ? 'Chunks' : 'Chunk'} ${issue.chunks.join(', ')}`;
+  }
+
+  /**
+   * Describe the other locations of an issue, or null when it was found in one place only
+   */
+  describeIssueOccurrences(issue) {
+    if (!Array.isArray(issue.occurrences) || issue.occurrences.length === 0) {
+      return null;
+    }
+    
+    return issue.occurrences
+      .map(occurrence => Array.isArray(occurrence.lines) && occurrence.lines.length > 0
+        ? `\`${occurrence.file}\` (lines ${occurrence.lines.join('-')})`
+        : `\`${occurrence.file}\``)
+      .join(', ');
+  }
+
+  /**
+   * Find the diff position for an issue, or null if its lines are not part of the diff
+   */
+  getInlineCommentPosition(issue, lineMap) {
+    const fileLines = lineMap[issue.file];
+    if (!fileLines || !Array.isArray(issue.lines) || issue.lines.length === 0) {
+      return null;
+    }
+
+    const start = parseInt(issue.lines[0]);
+    const end = parseInt(issue.lines[issue.lines.length - 1]) || start;
+
+    // Anchor on the last line of the range that is visible in the diff
+    let line = null;
+    for (let current = end; current >= start; current--) {
+      if (fileLines.has(current)) {
+        line = current;
+        break;
+      }
+    }
+
+    if (line === null) {
+      return null;
+    }
+
+    const position = { path: issue.file, line, side: 'RIGHT' };
+
+    // Multi-line comments are only allowed within a single hunk
+    if (start < line && fileLines.get(start) === fileLines.get(line)) {
+      position.start_line = start;
+      position.start_side = 'RIGHT';
+    }
+
+    return position;
+  }
+
+  /**
+   * Format a single issue as an inline review comment
+   */
+  formatInlineComment(issue) {
+    const icon = issue.severity_proposed === 'critical' ? '🔴' : '🟡';
+    const severity = issue.severity_proposed === 'critical' ? 'Critical' : 'Suggestion';
+
+    let body = `${icon} **${issue.id} - ${(issue.category || '').toUpperCase()}** (${severity})\n\n`;
+    body += `- **Severity Score**: ${issue.severity_score?.toFixed(1) || 'N/A'}/5.0\n`;
+    body += `- **Confidence**: ${Math.round(issue.confidence * 100)}%\n`;
+    body += `- **Impact**: ${issue.why_it_matters}\n`;
+    if (this.describeIssueRule(issue)) {
+      body += `- **Guideline**: ${this.describeIssueRule(issue)}\n`;
+    }
+    if (this.describeIssueConsensus(issue)) {
+      body += `- **Consensus**: ${this.describeIssueConsensus(issue)}\n`;
+    }
+    if (this.describeIssueOccurrences(issue)) {
+      body += `- **Also in**: ${this.describeIssueOccurrences(issue)}\n`;
+    }
+    if (issue.fix) {
+      body += `- **Fix**: ${issue.fix}\n`;
+    }
+    if (issue.tests) {
+      body += `- **Test**: ${issue.tests}\n`;
+    }
+
+    return body;
+  }
+
+  /**
+   * Submit a PR review with inline comments on the diff lines of each issue.
+   * Issues that cannot be anchored to the diff stay in the review body.
+   */
+  async addPRReview(shouldBlockMerge, changedFiles, review) {
+    if (this.context.eventName !== 'pull_request') {
+      core.info('⚠️  Not a pull request event, skipping PR review');
+      return;
+    }
+
+    const lineMap = this.getDiffLineMap(changedFiles);
+    const comments = [];
+    const inlineIssueIds = new Set();
+
+    review.issues.forEach(issue => {
+      // Carried-over issues point at lines of an older commit, so keep them in the summary
+      const position = issue.carried_over ? null : this.getInlineCommentPosition(issue, lineMap);
+      if (position) {
+        comments.push({ ...position, body: this.formatInlineComment(issue) });
+        inlineIssueIds.add(issue.id);
+      }
+    });
+
+    core.info(`📌 ${comments.length} issues anchored to diff lines, remaining issues kept in the review summary`);
+
+    const body = this.generatePRComment(shouldBlockMerge, changedFiles, review, inlineIssueIds);
+
+    let previousReviews = [];
+    if (this.commentStrategy !== 'new') {
+      try {
+        previousReviews = await this.findPreviousReviews();
+      } catch (error) {
+        core.warning(`⚠️  Could not list previous reviews: ${error.message}`);
+      }
+    }
+
+    try {
+      await this.octokit.rest.pulls.createReview({
+        owner: this.context.repo.owner,
+        repo: this.context.repo.repo,
+        pull_number: this.context.issue.number,
+        commit_id: this.getHeadSha(),
+        event: 'COMMENT',
+        body,
+        comments
+      });
+
+      core.info('✅ Added PR review successfully');
+
+      for (const previousReview of previousReviews) {
+        await this.supersedePreviousReview(previousReview);
+      }
+    } catch (error) {
+      core.warning(`⚠️  Error adding PR review: ${error.message}. Falling back to summary comment`);
+      await this.addPRComment(this.generatePRComment(shouldBlockMerge, changedFiles, review));
+    }
+  }
+
+  /**
+   * Find previous PR reviews posted by this action in inline mode
+   */
+  async findPreviousReviews() {
+    const reviews = await this.octokit.paginate(this.octokit.rest.pulls.listReviews, {
+      owner: this.context.repo.owner,
+      repo: this.context.repo.repo,
+      pull_number: this.context.issue.number,
+      per_page: 100
+    });
+
+    const ownReviews = [];
+    for (const review of reviews) {
+      if (await this.isOwnComment(review)) {
+        ownReviews.push(review);
+      }
+    }
+    return ownReviews;
+  }
+
+  /**
+   * Retire a previous inline review after posting a new one, following the comment strategy:
+   * its inline comments are hidden as outdated, and its body is replaced by a pointer to the new
+   * review (`update`) or hidden as well (`minimize-old`). Submitted reviews cannot be deleted.
+   */
+  async supersedePreviousReview(previousReview) {
+    try {
+      const comments = await this.octokit.paginate(this.octokit.rest.pulls.listCommentsForReview, {
+        owner: this.context.repo.owner,
+        repo: this.context.repo.repo,
+        pull_number: this.context.issue.number,
+        review_id: previousReview.id,
+        per_page: 100
+      });
+      for (const comment of comments) {
+        await this.minimizeComment(comment);
+      }
+
+      if (this.commentStrategy === 'minimize-old') {
+        await this.minimizeComment(previousReview);
+      } else {
+        // Without the marker the review is no longer picked up as a previous review
+        await this.octokit.rest.pulls.updateReview({
+          owner: this.context.repo.owner,
+          repo: this.context.repo.repo,
+          pull_number: this.context.issue.number,
+          review_id: previousReview.id,
+          body: '🤖 DeepReview: superseded by a newer review below.'
+        });
+        core.info(`✅ Marked previous PR review ${previousReview.id} as superseded`);
+      }
+    } catch (error) {
+      core.warning(`⚠️  Could not retire previous PR review ${previousReview.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find previous comments posted by this action, identified by the hidden marker and their author
+   */
+  async findPreviousComments() {
+    const comments = await this.octokit.paginate(this.octokit.rest.issues.listComments, {
+      owner: this.context.repo.owner,
+      repo: this.context.repo.repo,
+      issue_number: this.context.issue.number,
+      per_page: 100
+    });
+    
+    const ownComments = [];
+    for (const comment of comments) {
+      if (await this.isOwnComment(comment)) {
+        ownComments.push(comment);
+      }
+    }
+    return ownComments;
+  }
+
+  /**
+   * Get the head commit SHA of the pull request (HEAD is a merge commit on pull_request checkouts)
+   */
+  getHeadSha() {
+    const pullRequest = this.context.payload.pull_request;
+    return (pullRequest && pullRequest.head && pullRequest.head.sha) || this.context.sha;
+  }
+
+  /**
+   * Build the hidden metadata comment recording the reviewed head SHA and its issues.
+   * The payload is base64-encoded so issue text can never terminate the HTML comment, and kept
+   * under CONFIG.MAX_METADATA_LENGTH: long texts are shortened first, and when the issues still do
+   * not fit the head SHA is left out, so the next incremental run reviews the whole PR instead of
+   * carrying over an incomplete list. It is also left out when files were not reviewed, so the next
+   * run does not skip them.
+   */
+  generateCommentMetadata(review) {
+    const shorten = text => (typeof text === 'string' && text.length > CONFIG.MAX_METADATA_TEXT_LENGTH
+      ? `${text.substring(0, CONFIG.MAX_METADATA_TEXT_LENGTH - 1)}…`
+      : text);
+    const issues = review.issues.map(issue => ({
+      id: issue.id,
+      category: issue.category,
+      severity_proposed: issue.severity_proposed,
+      severity_score: issue.severity_score,
+      confidence: issue.confidence,
+      file: issue.file,
+      lines: issue.lines,
+      occurrences: issue.occurrences,
+      why_it_matters: shorten(issue.why_it_matters),
+      fix: shorten(issue.fix),
+      rule: issue.rule
+    }));
+    const encode = metadata => Buffer.from(JSON.stringify(metadata), 'utf8').toString('base64');
+
+    if (this.unreviewedFiles.size > 0) {
+      return `<!-- ${CONFIG.COMMENT_METADATA_PREFIX} ${encode({ issues: [] })} -->`;
+    }
+    
+    let payload = encode({ head_sha: this.getHeadSha(), issues });
+    if (payload.length > CONFIG.MAX_METADATA_LENGTH) {
+      core.warning(`⚠️  ${issues.length} issues do not fit the review metadata - the next incremental review will review the whole PR`);
+      payload = encode({ issues: [] });
+    }
+    return `<!-- ${CONFIG.COMMENT_METADATA_PREFIX} ${payload} -->`;
+  }
+
+  /**
+   * Parse the hidden metadata comment from a comment or review body
+   */
+  parseCommentMetadata(body) {
+    const match = (body || '').match(new RegExp(`<!-- ${CONFIG.COMMENT_METADATA_PREFIX} ([A-Za-z0-9+/=]+) -->`));
+    if (!match) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(Buffer.from(match[1], 'base64').toString('utf8'));
+    } catch (error) {
+      core.warning(`⚠️  Could not parse previous review metadata: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get the login of the account the token acts as (the user of a personal access token), or null
+   * when it cannot be queried - installation tokens such as GITHUB_TOKEN or a GitHub App token
+   */
+  async getBotLogin() {
+    if (this.botLogin === undefined) {
+      try {
+        const { data } = await this.octokit.rest.users.getAuthenticated();
+        this.botLogin = data.login;
+      } catch {
+        this.botLogin = null;
+      }
+    }
+    return this.botLogin;
+  }
+
+  /**
+   * Whether a comment or review was posted by this action: it carries the marker and was written
+   * by the token's account, or by a bot account when the login is unknown (github-actions[bot],
+   * <app>[bot], ...). Users cannot post as a bot, so they cannot plant comments the action acts on.
+   */
+  async isOwnComment(comment) {
+    if (!comment.body || !comment.body.includes(CONFIG.COMMENT_MARKER) || !comment.user) {
+      return false;
+    }
+    
+    const login = await this.getBotLogin();
+    return login ? comment.user.login === login : comment.user.type === 'Bot';
+  }
+
+  /**
+   * Find the metadata of the most recent review posted by this action (as comment or PR review)
+   */
+  async findPreviousReviewMetadata() {
+    const candidates = (await this.findPreviousComments()).map(comment => ({
+      body: comment.body,
+      date: comment.updated_at || comment.created_at
+    }));
+
+    (await this.findPreviousReviews()).forEach(review => candidates.push({ body: review.body, date: review.submitted_at }));
+
+    candidates.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    // Only the latest review counts: older metadata would carry over issues it has since resolved
+    const metadata = candidates.length > 0 ? this.parseCommentMetadata(candidates[0].body) : null;
+    if (!metadata || typeof metadata.head_sha !== 'string') {
+      return null;
+    }
+    if (!/^[0-9a-f]{40}$/.test(metadata.head_sha)) {
+      core.warning('⚠️  Ignoring previous review metadata with an invalid head SHA');
+      return null;
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Narrow the diff range to the commits pushed since the last review in incremental mode.
+   * Falls back to a full review when there is no previous review or its SHA is no longer
+   * an ancestor of the head (e.g. after a force-push).
+   */
+  async resolveDiffRange() {
+    if (this.reviewScope !== 'incremental' || this.context.eventName !== 'pull_request') {
+      return;
+    }
+
+    let metadata = null;
+    try {
+      metadata = await this.findPreviousReviewMetadata();
+    } catch (error) {
+      core.warning(`⚠️  Could not load previous review: ${error.message}`);
+    }
+
+    if (!metadata) {
+      core.info('🔁 No previous review found - running full review');
+      return;
+    }
+
+    const headSha = this.getHeadSha();
+    try {
+      execFileSync('git', ['merge-base', '--is-ancestor', metadata.head_sha, headSha], { stdio: 'ignore' });
+    } catch {
+      core.info(`🔁 Previously reviewed commit ${metadata.head_sha} is not an ancestor of ${headSha} (force-push?) - running full review`);
+      return;
+    }
+
+    this.previousReview = metadata;
+    this.diffRange = `${metadata.head_sha}..${headSha}`;
+    core.info(`🔁 Incremental review of commits since ${metadata.head_sha}`);
+  }
+
+  /**
+   * Get issues from the previous review that new commits did not touch.
+   * Issue lines refer to the previously reviewed version, which is the left side of the
+   * incremental diff, so an issue is dropped once a hunk overlaps its lines (the new
+   * review sees those lines again and reports them if still present).
+   */
+  getCarriedOverIssues(changedFiles) {
+    if (!this.previousReview || !Array.isArray(this.previousReview.issues)) {
+      return [];
+    }
+
+    const rangesByFile = {};
+    const validIssues = this.previousReview.issues.filter(issue => validateIssue(issue).length === 0);
+    if (validIssues.length < this.previousReview.issues.length) {
+      core.warning(`⚠️  Ignoring ${this.previousReview.issues.length - validIssues.length} previous issues that do not match the review schema`);
+    }
+
+    return validIssues.filter(issue => {
+      if (!changedFiles.includes(issue.file)) {
+        return true;
+      }
+
+      if (!rangesByFile[issue.file]) {
+        rangesByFile[issue.file] = this.getChangedLineRanges(issue.file);
+      }
+
+      const lines = Array.isArray(issue.lines) && issue.lines.length > 0 ? issue.lines : [0];
+      const start = parseInt(lines[0]);
+      const end = parseInt(lines[lines.length - 1]) || start;
+
+      return !rangesByFile[issue.file].some(([rangeStart, rangeEnd]) => rangeStart <= end && start <= rangeEnd);
+    });
+  }
+
+  /**
+   * Append carried-over issues as an extra review block so the decision and comment
+   * logic treat them like any other chunk and still report a PR-wide result
+   */
+  appendCarriedOverIssues(blocks, carriedIssues) {
+    const reviewData = {
+      summary: `${carriedIssues.length} issues from the previous review (${this.previousReview.head_sha.substring(0, 7)}) were not touched by the new commits.`,
+      issues: carriedIssues.map(issue => ({ ...issue, carried_over: true })),
+      metrics: {
+        critical_count: carriedIssues.filter(issue => issue.severity_proposed === 'critical').length,
+        suggestion_count: carriedIssues.filter(issue => issue.severity_proposed === 'suggestion').length
+      }
+    };
+
+    return [...blocks, { source: 'carried_over', data: reviewData }];
+  }
+
+  /**
+   * Hide a comment as outdated via GraphQL (there is no REST endpoint for this)
+   */
+  async minimizeComment(comment) {
+    try {
+      await this.octokit.graphql(`
+        mutation($subjectId: ID!) {
+          minimizeComment(input: { subjectId: $subjectId, classifier: OUTDATED }) {
+            minimizedComment { isMinimized }
           }
         }
+      `, { subjectId: comment.node_id });
+      
+      core.info(`🙈 Minimized previous review comment ${comment.id}`);
+    } catch (error) {
+      core.warning(`⚠️  Could not minimize comment ${comment.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add PR comment to GitHub, honoring the configured comment strategy
+   */
+  async addPRComment(comment) {
+    if (this.context.eventName !== 'pull_request') {
+      core.info('⚠️  Not a pull request event, skipping PR comment');
+      return;
+    }
+    
+    // The marker and metadata lead the comment, so truncating the end keeps them intact
+    if (comment.length > CONFIG.MAX_COMMENT_LENGTH) {
+      const notice = '\n\n*Comment truncated - see the JSON report for the full review.*';
+      comment = comment.substring(0, CONFIG.MAX_COMMENT_LENGTH - notice.length) + notice;
+    }
+
+    try {
+      let previousComments = [];
+      if (this.commentStrategy !== 'new') {
+        try {
+          previousComments = await this.findPreviousComments();
+        } catch (error) {
+          core.warning(`⚠️  Could not list previous comments: ${error.message}`);
+        }
+      }
+      
+      if (this.commentStrategy === 'update' && previousComments.length > 0) {
+        const latestComment = previousComments[previousComments.length - 1];
         
-        // Check combined metrics
-        if (totalCriticalCount > 0) {
-          core.info(`🚨 Total critical issues count across all chunks: ${totalCriticalCount}`);
-          return true; // Block merge if any critical issues
+        await this.octokit.rest.issues.updateComment({
+          owner: this.context.repo.owner,
+          repo: this.context.repo.repo,
+          comment_id: latestComment.id,
+          body: comment
+        });
+        
+        core.info(`✅ Updated previous PR comment ${latestComment.id} successfully`);
+        return;
+      }
+      
+      await this.octokit.rest.issues.createComment({
+        owner: this.context.repo.owner,
+        repo: this.context.repo.repo,
+        issue_number: this.context.issue.number,
+        body: comment
+      });
+      
+      core.info('✅ Added PR comment successfully');
+      
+      if (this.commentStrategy === 'minimize-old') {
+        for (const previousComment of previousComments) {
+          await this.minimizeComment(previousComment);
         }
+      }
+    } catch (error) {
+      core.error(`❌ Error adding PR comment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build check run annotations from the parsed issues
+   */
+  buildCheckAnnotations(review) {
+    return review.issues
+      .filter(issue => issue.file && !issue.carried_over) // Carried-over lines may no longer match the head commit
+      .map(issue => {
+        const lines = Array.isArray(issue.lines) && issue.lines.length > 0 ? issue.lines : [1];
+        const startLine = parseInt(lines[0]) || 1;
+        const endLine = parseInt(lines[lines.length - 1]) || startLine;
         
-        core.info('✅ No critical issues found across all chunks - safe to merge');
-        return false;
+        return {
+          path: issue.file,
+          start_line: startLine,
+          end_line: Math.max(endLine, startLine),
+          annotation_level: issue.severity_proposed === 'critical' ? 'failure' : 'warning',
+          title: `${issue.id} - ${(issue.category || '').toUpperCase()} (score: ${issue.severity_score?.toFixed(1) || 'N/A'}, ${Math.round(issue.confidence * 100)}% confidence)`,
+          message: issue.fix ? `${issue.why_it_matters}\n\nFix: ${issue.fix}` : `${issue.why_it_matters}`
+        };
+      });
+  }
+
+  /**
+   * Publish the review as a check run with per-issue annotations
+   */
+  async publishCheckRun(shouldBlockMerge, changedFiles, review) {
+    const { critical_count: criticalCount, suggestion_count: suggestionCount } = review.metrics;
+    const incomplete = this.describeIncompleteReview();
+    let title = shouldBlockMerge
+      ? `❌ Do not merge: ${criticalCount} critical issues, ${suggestionCount} suggestions`
+      : `✅ Safe to merge: ${suggestionCount} suggestions`;
+    if (incomplete) {
+      title = `❌ Review incomplete: ${incomplete}`;
+    }
+    
+    let summary = this.generatePRComment(shouldBlockMerge, changedFiles, review);
+    if (summary.length > CONFIG.MAX_CHECK_SUMMARY_LENGTH) {
+      const notice = '\n\n*Summary truncated - see the PR comment for the full review.*';
+      summary = summary.substring(0, CONFIG.MAX_CHECK_SUMMARY_LENGTH - notice.length) + notice;
+    }
+
+    await this.createCompletedCheckRun(shouldBlockMerge ? this.getFailureConclusion() : 'success', title, summary, this.buildCheckAnnotations(review));
+  }
+
+  /**
+   * Conclusion of a check run for a blocked merge or a failed review: neutral in advisory mode
+   */
+  getFailureConclusion() {
+    return this.advisoryMode ? 'neutral' : 'failure';
+  }
+
+  /**
+   * Create a completed check run, so every run publishes a conclusion when create_check_run is enabled
+   */
+  async createCompletedCheckRun(conclusion, title, summary, annotations = []) {
+    if (!this.createCheckRun) {
+      return;
+    }
+
+    const batchSize = CONFIG.MAX_CHECK_ANNOTATIONS_PER_REQUEST;
+
+    try {
+      const { data: checkRun } = await this.octokit.rest.checks.create({
+        owner: this.context.repo.owner,
+        repo: this.context.repo.repo,
+        name: this.checkName,
+        head_sha: this.getHeadSha(),
+        status: 'completed',
+        conclusion,
+        output: { title, summary, annotations: annotations.slice(0, batchSize) }
+      });
+
+      // The API accepts a limited number of annotations per call, so send the rest as updates
+      for (let i = batchSize; i < annotations.length; i += batchSize) {
+        await this.octokit.rest.checks.update({
+          owner: this.context.repo.owner,
+          repo: this.context.repo.repo,
+          check_run_id: checkRun.id,
+          output: { title, summary, annotations: annotations.slice(i, i + batchSize) }
+        });
       }
+
+      core.info(`✅ Published check run "${this.checkName}" (${conclusion}) with ${annotations.length} annotations`);
+    } catch (error) {
+      core.error(`❌ Error creating check run: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert an issue's file and lines into a SARIF location
+   */
+  toSarifLocation(file, lines) {
+    const range = Array.isArray(lines) && lines.length > 0 ? lines : [1];
+    const startLine = parseInt(range[0]) || 1;
+    const endLine = parseInt(range[range.length - 1]) || startLine;
+    
+    return {
+      physicalLocation: {
+        artifactLocation: { uri: file, uriBaseId: '%SRCROOT%' },
+        region: { startLine, endLine: Math.max(endLine, startLine) }
+      }
+    };
+  }
+
+  /**
+   * Build a SARIF 2.1.0 report from the parsed issues (one rule per category)
+   */
+  generateSarifReport(review) {
+    const issues = review.issues.filter(issue => issue.file);
+    const categories = [...new Set(issues.map(issue => issue.category || 'general'))];
+    
+    const rules = categories.map(category => ({
+      id: `deepreview/${category}`,
+      name: category,
+      shortDescription: { text: `DeepReview ${category.replace(/_/g, ' ')} finding` }
+    }));
+    
+    const results = issues.map(issue => ({
+      ruleId: `deepreview/${issue.category || 'general'}`,
+      ruleIndex: categories.indexOf(issue.category || 'general'),
+      level: issue.severity_proposed === 'critical' ? 'error' : 'warning',
+      message: {
+        text: issue.fix ? `${issue.id}: ${issue.why_it_matters}\nFix: ${issue.fix}` : `${issue.id}: ${issue.why_it_matters}`
+      },
+      locations: [
+        this.toSarifLocation(issue.file, issue.lines),
+        ...(Array.isArray(issue.occurrences) ? issue.occurrences : [])
+          .filter(occurrence => occurrence && occurrence.file)
+          .map(occurrence => this.toSarifLocation(occurrence.file, occurrence.lines))
+      ],
+      properties: {
+        id: issue.id,
+        category: issue.category,
+        severity_proposed: issue.severity_proposed,
+        severity_score: issue.severity_score,
+        confidence: issue.confidence,
+        risk_factors: issue.risk_factors,
+        fix: issue.fix,
+        rule: issue.rule
+      }
+    }));
+    
+    return {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: 'DeepReview',
+            version,
+            informationUri: 'https://github.com/tajawal/web-code-reviewer',
+            rules
+          }
+        },
+        results
+      }]
+    };
+  }
+
+  /**
+   * Write the SARIF report to sarif_file and expose its path as an output
+   */
+  writeSarifReport(review) {
+    if (!this.sarifFile) {
+      return;
+    }
+    
+    try {
+      const sarifPath = path.resolve(process.env.GITHUB_WORKSPACE || process.cwd(), this.sarifFile);
+      const report = this.generateSarifReport(review);
       
-      // Fallback to old text-based parsing if JSON not found
-      core.warning('⚠️  JSON not found in response, falling back to text-based parsing');
-      return this.checkMergeDecisionLegacy(llmResponse);
+      fs.mkdirSync(path.dirname(sarifPath), { recursive: true });
+      fs.writeFileSync(sarifPath, JSON.stringify(report, null, 2));
+      core.setOutput('sarif_file', sarifPath);
       
+      core.info(`✅ Wrote SARIF report with ${report.runs[0].results.length} results to ${sarifPath}`);
     } catch (error) {
-      core.warning(`⚠️  Error parsing JSON response: ${error.message}`);
-      core.warning('⚠️  Falling back to text-based parsing');
-      return this.checkMergeDecisionLegacy(llmResponse);
+      core.error(`❌ Error writing SARIF report: ${error.message}`);
     }
   }
 
   /**
-   * Legacy text-based merge decision checking (fallback)
+   * Build the JSON report from the normalized review, with the error that stopped the review if any
    */
-  checkMergeDecisionLegacy(llmResponse) {
-    const response = llmResponse.toLowerCase();
-
-    // Check for explicit approval phrases
-    for (const phrase of CONFIG.APPROVAL_PHRASES) {
-      if (response.includes(phrase)) {
-        core.info(`✅ Found approval phrase: "${phrase}"`);
-        return false; // Safe to merge
+  generateReport(shouldBlockMerge, changedFiles, review, error = null) {
+    return {
+      decision: shouldBlockMerge ? 'do_not_merge' : 'safe_to_merge',
+      error,
+      provider: this.provider,
+      model: this.model,
+      languages: this.languages,
+      base_branch: this.baseBranch,
+      head_sha: this.getHeadSha(),
+      diff_range: this.diffRange,
+      files_reviewed: changedFiles,
+      summaries: review.chunks.filter(chunk => chunk.summary).map(chunk => ({
+        chunk: chunk.chunk,
+        summary: chunk.summary,
+        reviewed_by: chunk.reviewed_by
+      })),
+      synthesis: review.synthesis,
+      notes: review.notes,
+      issues: review.issues,
+      unreviewed_files: [...this.unreviewedFiles],
+      usage: {
+        requests: this.usage.requests,
+        input_tokens: this.usage.input_tokens,
+        output_tokens: this.usage.output_tokens,
+        estimated_cost_usd: Math.round(this.usage.cost_usd * 10000) / 10000,
+        unpriced_models: [...this.usage.unpriced_models],
+        limits: { max_cost_usd: this.maxCostUsd, max_tokens_total: this.maxTokensTotal },
+        tasks: this.usage.tasks.map(task => ({
+          ...task,
+          cost_usd: Math.round(task.cost_usd * 10000) / 10000,
+          unpriced_models: [...task.unpriced_models]
+        }))
+      },
+      metrics: {
+        ...review.metrics,
+        chunks_processed: this.chunkStats.total - this.chunkStats.failed - this.chunkStats.skipped,
+        chunks_failed: this.chunkStats.failed,
+        chunks_skipped: this.chunkStats.skipped
       }
-    }
+    };
+  }
 
-    // Check for explicit blocking phrases
-    for (const phrase of CONFIG.BLOCKING_PHRASES) {
-      if (response.includes(phrase)) {
-        core.info(`🚨 Found blocking phrase: "${phrase}"`);
-        return true; // Block merge
-      }
+  /**
+   * Write the JSON report and expose the review results as action outputs
+   */
+  setActionOutputs(shouldBlockMerge, changedFiles, review, error = null) {
+    const report = this.generateReport(shouldBlockMerge, changedFiles, review, error);
+    
+    core.setOutput('decision', report.decision);
+    core.setOutput('critical_count', report.metrics.critical_count);
+    core.setOutput('suggestion_count', report.metrics.suggestion_count);
+    core.setOutput('files_reviewed', changedFiles.length);
+    core.setOutput('chunks_failed', report.metrics.chunks_failed);
+    core.setOutput('input_tokens', report.usage.input_tokens);
+    core.setOutput('output_tokens', report.usage.output_tokens);
+    core.setOutput('estimated_cost_usd', report.usage.estimated_cost_usd);
+    core.setOutput('unreviewed_files', JSON.stringify(report.unreviewed_files));
+    
+    try {
+      const reportPath = path.resolve(
+        process.env.GITHUB_WORKSPACE || process.cwd(),
+        this.reportFile || path.join(process.env.RUNNER_TEMP || os.tmpdir(), CONFIG.DEFAULT_REPORT_FILE)
+      );
+      
+      fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+      fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+      core.setOutput('report_path', reportPath);
+      
+      core.info(`✅ Wrote JSON report to ${reportPath}`);
+    } catch (error) {
+      core.error(`❌ Error writing JSON report: ${error.message}`);
     }
+  }
 
-    // Check for critical issue indicators
-    let criticalIssueCount = 0;
-    for (const issue of CONFIG.CRITICAL_ISSUES) {
-      if (response.includes(issue)) {
-        criticalIssueCount++;
-      }
+  /**
+   * Format a single issue for the issue list of the PR comment
+   */
+  formatIssueDetails(issue, icon, includeTests) {
+    let details = `${icon} ${issue.id} - ${issue.category.toUpperCase()} (${this.describeIssueSource(issue)})\n`;
+    if (issue.snippet) {
+      const language = getLanguageForFile(issue.file);
+      details += `\`\`\`${language}\n${issue.snippet}\n\`\`\`\n`;
     }
-    
-    if (criticalIssueCount >= 2) {
-      core.info(`🚨 Found ${criticalIssueCount} critical issues without explicit approval`);
-      return true;
+    details += `- **File**: \`${issue.file}\` (lines ${issue.lines.join('-')})\n`;
+    if (this.describeIssueOccurrences(issue)) {
+      details += `- **Also in**: ${this.describeIssueOccurrences(issue)}\n`;
+    }
+    details += `- **Severity Score**: ${issue.severity_score?.toFixed(1) || 'N/A'}/5.0\n`;
+    details += `- **Confidence**: ${Math.round(issue.confidence * 100)}%\n`;
+    details += `- **Impact**: ${issue.why_it_matters}\n`;
+    if (this.describeIssueRule(issue)) {
+      details += `- **Guideline**: ${this.describeIssueRule(issue)}\n`;
+    }
+    if (this.describeIssueConsensus(issue)) {
+      details += `- **Consensus**: ${this.describeIssueConsensus(issue)}\n`;
+    }
+    if (issue.fix) {
+      details += `- **Fix**: ${issue.fix}\n`;
+    }
+    if (includeTests && issue.tests) {
+      details += `- **Test**: ${issue.tests}\n`;
     }
     
-    core.info('⚠️  No explicit merge decision found, defaulting to allow merge');
-    return false;
+    return `${details}\n`;
   }
 
   /**
-   * Add PR comment to GitHub
+   * Build the token usage lines of the Review Details block: the run total and, when the review
+   * took several requests, the usage of each chunk and of the synthesis
    */
-  async addPRComment(comment) {
-    if (this.context.eventName !== 'pull_request') {
-      core.info('⚠️  Not a pull request event, skipping PR comment');
-      return;
+  describeUsageDetails() {
+    if (this.usage.requests === 0) {
+      return '';
     }
-
-    try {
-      await this.octokit.rest.issues.createComment({
-        owner: this.context.repo.owner,
-        repo: this.context.repo.repo,
-        issue_number: this.context.issue.number,
-        body: comment
-      });
-      
-      core.info('✅ Added PR comment successfully');
-    } catch (error) {
-      core.error(`❌ Error adding PR comment: ${error.message}`);
+    
+    const limits = [
+      ...(this.maxTokensTotal !== null ? [`${this.maxTokensTotal.toLocaleString('en-US')} tokens`] : []),
+      ...(this.maxCostUsd !== null ? [`$${this.maxCostUsd}`] : [])
+    ];
+    let details = `- **Token Usage**: ${this.describeUsage(this.usage)} in ${this.usage.requests} requests${limits.length > 0 ? `, limit ${limits.join(' / ')}` : ''}\n`;
+    
+    const skipped = this.usage.tasks.filter(task => task.skipped);
+    if (this.usage.tasks.length > 1) {
+      details += this.usage.tasks.filter(task => !task.skipped).map(task => `  - ${task.label}: ${this.describeUsage(task)}\n`).join('');
+    }
+    if (skipped.length > 0) {
+      details += `  - Skipped (usage limit reached): ${skipped.map(task => task.label).join(', ')}\n`;
     }
+    
+    return details;
   }
 
   /**
-   * Generate PR comment content with enhanced JSON parsing
+   * Generate PR comment content from the normalized review
+   * Issues whose id is in inlineIssueIds are left out, as they are posted inline
    */
-  generatePRComment(shouldBlockMerge, changedFiles, llmResponse) {
+  generatePRComment(shouldBlockMerge, changedFiles, review, inlineIssueIds = new Set()) {
     const status = shouldBlockMerge ? '❌ **DO NOT MERGE**' : '✅ **SAFE TO MERGE**';
-    const statusDescription = shouldBlockMerge 
+    let statusDescription = shouldBlockMerge 
       ? 'Issues found that must be addressed before merging' 
       : 'All changes are safe and well-implemented';
+    if (shouldBlockMerge && this.describeIncompleteReview()) {
+      statusDescription = 'Review incomplete - not every changed file was reviewed';
+    }
+    if (shouldBlockMerge && this.advisoryMode) {
+      statusDescription += ' (advisory mode - the merge is not blocked)';
+    }
 
-    // Try to extract and parse JSON for enhanced display
     let reviewSummary = '';
     let issueDetails = '';
     
-    try {
-      // Find all JSON matches in the response
-      const jsonMatches = llmResponse.match(/```json\s*([\s\S]*?)\s*```/g);
+    // The decision only covers the reviewed files, so skipped files are listed before anything else
+    if (this.unreviewedFiles.size > 0) {
+      reviewSummary = `> ⚠️ **Review incomplete** - ${this.describeIncompleteReview()}. They are not covered by this assessment, even where part of their diff was reviewed:\n${[...this.unreviewedFiles].map(file => `> - \`${file}\``).join('\n')}\n\n`;
+    }
+    
+    const summaries = review.chunks.filter(chunk => chunk.summary);
+    if (review.synthesis) {
+      reviewSummary += `**AI Summary**: ${review.synthesis.summary}\n\n**Risk Assessment**: ${review.synthesis.risk_assessment}\n\n`;
+      if (review.synthesis.interactions.length > 0) {
+        reviewSummary += `**Cross-Chunk Interactions**:\n${review.synthesis.interactions.map(interaction => {
+          const chunks = interaction.chunks.length > 0 ? ` (Chunks ${interaction.chunks.join(', ')})` : '';
+          const issueIds = Array.isArray(interaction.issue_ids) && interaction.issue_ids.length > 0 ? ` [${interaction.issue_ids.join(', ')}]` : '';
+          return `- ${interaction.files.map(file => `\`${file}\``).join(' ↔ ')}${chunks}: ${interaction.risk}${issueIds}`;
+        }).join('\n')}\n\n`;
+      }
+    } else if (summaries.length === 1) {
+      reviewSummary += `**AI Summary**: ${summaries[0].summary}\n\n`;
+    } else if (summaries.length > 1) {
+      reviewSummary += `**AI Summary**: ${summaries.map(chunk => `**Chunk ${chunk.chunk}**: ${chunk.summary}`).join(' ')}\n\n`;
+    }
+    review.notes.forEach(note => {
+      reviewSummary += `**Note**: ${note}\n\n`;
+    });
+    
+    // Create structured issue display from the merged issues
+    if (review.issues.length > 0) {
+      const summaryIssues = review.issues.filter(i => !inlineIssueIds.has(i.id));
+      const criticalIssues = summaryIssues.filter(i => i.severity_proposed === 'critical');
+      const suggestions = summaryIssues.filter(i => i.severity_proposed === 'suggestion');
       
-      if (jsonMatches && jsonMatches.length > 0) {
-        core.info(`📊 Found ${jsonMatches.length} JSON objects in response`);
-        
-        // Parse all JSON objects and combine their data
-        const allIssues = [];
-        const allSummaries = [];
-        let totalCriticalCount = 0;
-        let totalSuggestionCount = 0;
-        
-        jsonMatches.forEach((match, index) => {
-          try {
-            const jsonStr = match.replace(/```json\s*/, '').replace(/\s*```/, '');
-            const reviewData = JSON.parse(jsonStr);
-            
-            core.info(`📋 Parsing JSON object ${index + 1}/${jsonMatches.length}: ${reviewData.issues?.length || 0} issues`);
-            
-            // Collect summary
-            if (reviewData.summary) {
-              allSummaries.push(`**Chunk ${index + 1}**: ${reviewData.summary}`);
-            }
-            
-            // Collect issues
-            if (reviewData.issues && Array.isArray(reviewData.issues)) {
-              reviewData.issues.forEach(issue => {
-                // Add chunk context to issue
-                const issueWithContext = {
-                  ...issue,
-                  chunk: index + 1,
-                  originalId: issue.id
-                };
-                allIssues.push(issueWithContext);
-              });
-            }
-            
-            // Collect metrics
-            if (reviewData.metrics) {
-              totalCriticalCount += reviewData.metrics.critical_count || 0;
-              totalSuggestionCount += reviewData.metrics.suggestion_count || 0;
-            }
-            
-          } catch (parseError) {
-            core.warning(`⚠️  Error parsing JSON object ${index + 1}: ${parseError.message}`);
-          }
+      issueDetails = `## 🔍 **Issues Found**\n\n`;
+      
+      if (inlineIssueIds.size > 0) {
+        issueDetails += `📌 ${inlineIssueIds.size} issues are posted as inline comments on the affected lines.\n\n`;
+      }
+      
+      if (criticalIssues.length > 0) {
+        issueDetails += `### 🚨 **Critical Issues (${criticalIssues.length})**\n`;
+        criticalIssues.forEach(issue => {
+          issueDetails += this.formatIssueDetails(issue, '🔴', true);
         });
-        
-        // Create combined summary
-        if (allSummaries.length > 0) {
-          reviewSummary = `**AI Summary**: ${allSummaries.join(' ')}\n\n`;
-        }
-        
-        // Create structured issue display from combined data
-        if (allIssues.length > 0) {
-          const criticalIssues = allIssues.filter(i => i.severity_proposed === 'critical');
-          const suggestions = allIssues.filter(i => i.severity_proposed === 'suggestion');
-          
-          issueDetails = `## 🔍 **Issues Found**\n\n`;
-          
-          if (criticalIssues.length > 0) {
-            issueDetails += `### 🚨 **Critical Issues (${criticalIssues.length})**\n`;
-            criticalIssues.forEach(issue => {
-              issueDetails += `🔴 ${issue.originalId} - ${issue.category.toUpperCase()} (Chunk ${issue.chunk})\n`;
-              if (issue.snippet) {
-                const language = getLanguageForFile(issue.file);
-                issueDetails += `\`\`\`${language}\n${issue.snippet}\n\`\`\`\n`;
-              }
-              issueDetails += `- **File**: \`${issue.file}\` (lines ${issue.lines.join('-')})\n`;
-              issueDetails += `- **Severity Score**: ${issue.severity_score?.toFixed(1) || 'N/A'}/5.0\n`;
-              issueDetails += `- **Confidence**: ${Math.round(issue.confidence * 100)}%\n`;
-              issueDetails += `- **Impact**: ${issue.why_it_matters}\n`;
-              if (issue.fix) {
-                issueDetails += `- **Fix**: ${issue.fix}\n`;
-              }
-              if (issue.tests) {
-                issueDetails += `- **Test**: ${issue.tests}\n`;
-              }
-              issueDetails += `\n`;
-            });
-          }
-          
-          if (suggestions.length > 0) {
-            issueDetails += `### 💡 **Suggestions (${suggestions.length})**\n`;
-            suggestions.forEach(issue => {
-              issueDetails += `🟡 ${issue.originalId} - ${issue.category.toUpperCase()} (Chunk ${issue.chunk})\n`;
-              if (issue.snippet) {
-                const language = getLanguageForFile(issue.file);
-                issueDetails += `\`\`\`${language}\n${issue.snippet}\n\`\`\`\n`;
-              }
-              issueDetails += `- **File**: \`${issue.file}\` (lines ${issue.lines.join('-')})\n`;
-              issueDetails += `- **Severity Score**: ${issue.severity_score?.toFixed(1) || 'N/A'}/5.0\n`;
-              issueDetails += `- **Confidence**: ${Math.round(issue.confidence * 100)}%\n`;
-              issueDetails += `- **Impact**: ${issue.why_it_matters}\n`;
-              if (issue.fix) {
-                issueDetails += `- **Fix**: ${issue.fix}\n`;
-              }
-              issueDetails += `\n`;
-            });
-          }
-          
-          // Add combined metrics
-          issueDetails += `### 📊 **Review Metrics**\n`;
-          issueDetails += `- **Critical Issues**: ${totalCriticalCount}\n`;
-          issueDetails += `- **Suggestions**: ${totalSuggestionCount}\n`;
-          issueDetails += `- **Total Issues**: ${allIssues.length}\n`;
-          issueDetails += `- **Chunks Processed**: ${jsonMatches.length}\n\n`;
-        }
       }
-    } catch (error) {
-      core.warning(`⚠️  Error parsing JSON for enhanced comment: ${error.message}`);
+      
+      if (suggestions.length > 0) {
+        issueDetails += `### 💡 **Suggestions (${suggestions.length})**\n`;
+        suggestions.forEach(issue => {
+          issueDetails += this.formatIssueDetails(issue, '🟡', false);
+        });
+      }
+      
+      // Metrics are counted from the merged issues, so duplicates across chunks count once
+      issueDetails += `### 📊 **Review Metrics**\n`;
+      issueDetails += `- **Critical Issues**: ${review.metrics.critical_count}\n`;
+      issueDetails += `- **Suggestions**: ${review.metrics.suggestion_count}\n`;
+      issueDetails += `- **Total Issues**: ${review.metrics.total_issues}\n`;
+      issueDetails += `- **Chunks Processed**: ${review.chunks.length}\n\n`;
     }
 
-    return `## 🤖 DeepReview
+    return `${CONFIG.COMMENT_MARKER}
+${this.generateCommentMetadata(review)}
+## 🤖 DeepReview
 
 **Overall Assessment**: ${status} - ${statusDescription}
 
 ${reviewSummary}
 
 **Review Details:**
-- **Provider**: ${this.provider.toUpperCase()}
-- **Files Reviewed**: ${changedFiles.length} files
+- **Provider**: ${this.describeChunkReviewers(review)}
+- **Files Reviewed**: ${changedFiles.length - changedFiles.filter(file => this.unreviewedFiles.has(file)).length} files${this.unreviewedFiles.size > 0 ? ` (${this.unreviewedFiles.size} not fully reviewed)` : ''}
 - **Review Date**: ${new Date().toLocaleString()}
 - **Base Branch**: ${this.baseBranch}
 - **Head Branch**: ${(this.context.payload.pull_request && this.context.payload.pull_request.head && this.context.payload.pull_request.head.ref) || 'HEAD'}
 - **Path Filter**: ${this.pathToFiles.join(', ')}
-
+- **Languages**: ${Object.keys(this.groupFilesByLanguage(changedFiles.filter(file => !this.unreviewedFiles.has(file)))).map(language => CONFIG.LANGUAGE_CONFIGS[language].name).join(', ') || 'None'}
+- **Review Scope**: ${this.previousReview ? `Incremental (\`${this.diffRange}\`)` : 'Full'}
+- **Merge Policy**: ${this.describeBlockingPolicy()}
+${review.synthesis ? `- **Synthesis**: ${this.describeProvider(review.synthesis.reviewed_by)}, from ${review.chunks.length} chunk reviews\n` : ''}${this.consensusReviewers.length > 0 ? `- **Consensus**: ${this.consensusReviewers.length + 1} models, quorum ${this.consensusQuorum}\n` : ''}${this.describeUsageDetails()}
 ---
 
 ${issueDetails}
@@ -895,24 +3076,45 @@ ${shouldBlockMerge
    */
   logReviewDetails() {
     core.info(`🚀 Starting LLM Code Review (GitHub Actions)...\n`);
-    core.info(`🤖 Using ${this.provider.toUpperCase()} LLM`);
+    core.info(`🤖 Using ${this.provider.toUpperCase()} LLM (${this.model})`);
     
     core.info(`📋 Review Details:`);
     core.info(`  - Base Branch: ${this.baseBranch}`);
     core.info(`  - Head Ref: ${this.context.sha}`);
     core.info(`  - Review Date: ${new Date().toLocaleString()}`);
     core.info(`  - Reviewer: ${this.provider.toUpperCase()} LLM`);
-    core.info(`  - Language: ${this.language} (${CONFIG.LANGUAGE_CONFIGS[this.language]?.name || 'Unknown'})`);
+    core.info(`  - Model: ${this.model} (${this.contextWindow} token context window)`);
+    core.info(`  - Fallback Providers: ${this.providerChain.slice(1).map(target => this.describeProvider(target)).join(' → ') || 'none'}`);
+    core.info(`  - Consensus Models: ${this.consensusReviewers.length > 0 ? `${this.consensusReviewers.map(target => this.describeProvider(target)).join(', ')} (quorum ${this.consensusQuorum})` : 'disabled'}`);
+    if (typeof LLM_PROVIDERS[this.provider]?.url === 'function') {
+      core.info(`  - Endpoint: ${this.getProviderUrl(LLM_PROVIDERS[this.provider])}`);
+    }
+    core.info(`  - Max Tokens: ${this.maxTokens}`);
+    core.info(`  - Temperature: ${this.temperature}`);
+    core.info(`  - Languages: ${this.describeLanguages()}`);
     core.info(`  - Path to Files: ${this.pathToFiles.join(', ')}`);
+    core.info(`  - Include Patterns: ${this.includePatterns.join(', ') || 'all files'}`);
+    core.info(`  - Exclude Patterns: ${[...this.ignorePatterns, ...this.excludePatterns].join(', ')}`);
+    core.info(`  - Comment Mode: ${this.commentMode}`);
+    core.info(`  - Comment Strategy: ${this.commentStrategy}`);
+    core.info(`  - Review Scope: ${this.reviewScope}`);
+    core.info(`  - Context Mode: ${this.contextMode}${this.contextMode !== 'diff' ? ` (budget ${this.contextTokenBudget} tokens, max ${CONFIG.MAX_CONTEXT_TOKENS_PER_FILE} per file)` : ''}`);
+    core.info(`  - Import Context: ${this.importContext ? `enabled for js (budget ${this.importContextTokenBudget} tokens)` : 'disabled'}`);
+    core.info(`  - Check Run: ${this.createCheckRun ? this.checkName : 'disabled'}`);
+    core.info(`  - Merge Policy: ${this.describeBlockingPolicy()}`);
+    core.info(`  - Review Synthesis: ${this.synthesizeReview ? 'enabled for chunked reviews' : 'disabled'}`);
     core.info(`  - PR Number: ${(this.context.issue && this.context.issue.number) || 'Not available'}`);
-    core.info(`  - Chunk Size: ${Math.round(this.chunkSize / 1024)}KB (${this.chunkSize} bytes)`);
+    core.info(`  - Tokenizer: ${describeTokenizer(this.model)}`);
+    core.info(`  - Chunk Size: context window - prompt - max tokens${this.chunkSize ? `, capped at ${Math.round(this.chunkSize / 1024)}KB (${this.chunkSize} bytes)` : ''}`);
     core.info(`  - Max Concurrent Requests: ${this.maxConcurrentRequests}`);
     core.info(`  - Batch Delay: ${this.batchDelayMs}ms`);
-    
-    // Debug chunk size configuration
-    if (this.chunkSize <= 0) {
-      core.warning(`⚠️  WARNING: Chunk size is ${this.chunkSize} - this will cause excessive chunking!`);
-      core.warning(`   Check your chunk_size input parameter or CONFIG.DEFAULT_CHUNK_SIZE`);
+    core.info(`  - Usage Limits: ${[
+      ...(this.maxTokensTotal !== null ? [`max_tokens_total ${this.maxTokensTotal}`] : []),
+      ...(this.maxCostUsd !== null ? [`max_cost_usd $${this.maxCostUsd}`] : [])
+    ].join(', ') || 'none'}`);
+    const unpricedModels = this.providerChain.map(target => target.model).filter(model => !getModelPricing(model));
+    if (this.maxCostUsd !== null && unpricedModels.length > 0) {
+      core.warning(`⚠️  No pricing known for ${unpricedModels.join(', ')} - their requests do not count towards max_cost_usd, use max_tokens_total to limit them`);
     }
     
     core.info('');
@@ -952,97 +3154,328 @@ ${shouldBlockMerge
   /**
    * Log final decision with enhanced details
    */
-  logFinalDecision(shouldBlockMerge, llmResponse) {
-    try {
-      // Try to extract all JSON objects for detailed logging
-      const jsonMatches = llmResponse.match(/```json\s*([\s\S]*?)\s*```/g);
-      if (jsonMatches && jsonMatches.length > 0) {
-        core.info(`📊 Found ${jsonMatches.length} JSON objects for detailed logging`);
-        
-        // Parse all JSON objects and combine their data
-        const allIssues = [];
-        let totalCriticalCount = 0;
-        let totalSuggestionCount = 0;
-        
-        jsonMatches.forEach((match, index) => {
-          try {
-            const jsonStr = match.replace(/```json\s*/, '').replace(/\s*```/, '');
-            const reviewData = JSON.parse(jsonStr);
-            
-            // Collect issues
-            if (reviewData.issues && Array.isArray(reviewData.issues)) {
-              reviewData.issues.forEach(issue => {
-                // Add chunk context to issue
-                const issueWithContext = {
-                  ...issue,
-                  chunk: index + 1,
-                  originalId: issue.id
-                };
-                allIssues.push(issueWithContext);
-              });
-            }
-            
-            // Collect metrics
-            if (reviewData.metrics) {
-              totalCriticalCount += reviewData.metrics.critical_count || 0;
-              totalSuggestionCount += reviewData.metrics.suggestion_count || 0;
-            }
-            
-          } catch (parseError) {
-            core.warning(`⚠️  Error parsing JSON object ${index + 1} for logging: ${parseError.message}`);
-          }
-        });
-        
-        if (shouldBlockMerge) {
-          const criticalIssues = allIssues.filter(i => i.severity_proposed === 'critical');
-          const highConfidenceCritical = criticalIssues.filter(i => i.confidence >= 0.6);
-          
-          core.setFailed(`🚨 MERGE BLOCKED: LLM review found ${criticalIssues.length} critical issues (${highConfidenceCritical.length} with high confidence ≥ 0.6) across ${jsonMatches.length} chunks`);
-          
-          if (highConfidenceCritical.length > 0) {
-            core.info('   High-confidence critical issues:');
-            highConfidenceCritical.forEach(issue => {
-              core.info(`   - ${issue.originalId}: ${issue.category} (Chunk ${issue.chunk}, score: ${issue.severity_score?.toFixed(1) || 'N/A'}, ${Math.round(issue.confidence * 100)}% confidence)`);
-              core.info(`     File: ${issue.file}, Lines: ${issue.lines.join('-')}`);
-              if (issue.risk_factors) {
-                core.info(`     Risk Factors: I:${issue.risk_factors.impact} E:${issue.risk_factors.exploitability} L:${issue.risk_factors.likelihood} B:${issue.risk_factors.blast_radius} Ev:${issue.risk_factors.evidence_strength}`);
-              }
-              core.info(`     Impact: ${issue.why_it_matters}`);
-            });
+  logFinalDecision(shouldBlockMerge, review) {
+    const incomplete = this.describeIncompleteReview();
+    if (incomplete) {
+      const hint = this.unreviewedReasons.has('the usage limit was reached')
+        ? 'Raise max_cost_usd / max_tokens_total or narrow path_to_files and run the review again.'
+        : 'Run the review again once the provider is reachable.';
+      this.reportBlockedMerge(`🚨 MERGE BLOCKED: review incomplete - ${incomplete}. ${hint}`);
+    }
+    
+    if (!review.hasJson) {
+      if (incomplete) {
+        this.logUsage();
+        return;
+      }
+      if (shouldBlockMerge) {
+        this.reportBlockedMerge('🚨 MERGE BLOCKED: LLM review found critical issues that must be addressed before merging.');
+        core.info('   Please fix the issues mentioned above and run the review again.');
+      } else {
+        core.info('✅ MERGE APPROVED: No critical issues found. Safe to merge.');
+      }
+      this.logUsage();
+      return;
+    }
+    
+    const chunkCount = review.chunks.length;
+    
+    if (shouldBlockMerge) {
+      const blockingIssues = review.issues.filter(i => this.isBlockingIssue(i));
+      
+      if (incomplete) {
+        core.info(`   ${review.metrics.critical_count} critical issues found in the reviewed files across ${chunkCount} chunks`);
+      } else if (blockingIssues.length === 0 && this.blockingPolicy.maxSuggestions !== null) {
+        this.reportBlockedMerge(`🚨 MERGE BLOCKED: LLM review found ${review.metrics.suggestion_count} suggestions, more than the allowed ${this.blockingPolicy.maxSuggestions}, across ${chunkCount} chunks`);
+      } else {
+        this.reportBlockedMerge(`🚨 MERGE BLOCKED: LLM review found ${review.metrics.critical_count} critical issues (${blockingIssues.length} matching the merge policy) across ${chunkCount} chunks`);
+      }
+      
+      if (blockingIssues.length > 0) {
+        core.info('   Blocking critical issues:');
+        blockingIssues.forEach(issue => {
+          core.info(`   - ${issue.id}: ${issue.category} (${this.describeIssueSource(issue)}, score: ${issue.severity_score?.toFixed(1) || 'N/A'}, ${Math.round(issue.confidence * 100)}% confidence)`);
+          core.info(`     File: ${issue.file}, Lines: ${issue.lines.join('-')}`);
+          if (this.describeIssueOccurrences(issue)) {
+            core.info(`     Also in: ${this.describeIssueOccurrences(issue).replace(/`/g, '')}`);
           }
-          
-          core.info('   Please fix the critical issues mentioned above and run the review again.');
-        } else {
-          const suggestions = allIssues.filter(i => i.severity_proposed === 'suggestion');
-          core.info(`✅ MERGE APPROVED: No critical issues found across ${jsonMatches.length} chunks. ${suggestions.length} suggestions available for consideration.`);
-          
-          if (suggestions.length > 0) {
-            core.info('   Suggestions for improvement:');
-            suggestions.slice(0, 3).forEach(issue => { // Show first 3 suggestions
-              core.info(`   - ${issue.originalId}: ${issue.category} (Chunk ${issue.chunk}, score: ${issue.severity_score?.toFixed(1) || 'N/A'}, ${Math.round(issue.confidence * 100)}% confidence)`);
-            });
-            if (suggestions.length > 3) {
-              core.info(`   ... and ${suggestions.length - 3} more suggestions`);
-            }
+          if (issue.risk_factors) {
+            core.info(`     Risk Factors: I:${issue.risk_factors.impact} E:${issue.risk_factors.exploitability} L:${issue.risk_factors.likelihood} B:${issue.risk_factors.blast_radius} Ev:${issue.risk_factors.evidence_strength}`);
           }
+          core.info(`     Impact: ${issue.why_it_matters}`);
+        });
+      }
+      
+      core.info('   Please fix the critical issues mentioned above and run the review again.');
+    } else {
+      const suggestions = review.issues.filter(i => i.severity_proposed === 'suggestion');
+      core.info(`✅ MERGE APPROVED: No critical issues found across ${chunkCount} chunks. ${suggestions.length} suggestions available for consideration.`);
+      
+      if (suggestions.length > 0) {
+        core.info('   Suggestions for improvement:');
+        suggestions.slice(0, 3).forEach(issue => { // Show first 3 suggestions
+          core.info(`   - ${issue.id}: ${issue.category} (${this.describeIssueSource(issue)}, score: ${issue.severity_score?.toFixed(1) || 'N/A'}, ${Math.round(issue.confidence * 100)}% confidence)`);
+        });
+        if (suggestions.length > 3) {
+          core.info(`   ... and ${suggestions.length - 3} more suggestions`);
         }
-        
-        // Log combined metrics
-        core.info(`📊 Review Summary: ${totalCriticalCount} critical, ${totalSuggestionCount} suggestions across ${jsonMatches.length} chunks`);
-        
+      }
+    }
+    
+    core.info(`📊 Review Summary: ${review.metrics.critical_count} critical, ${review.metrics.suggestion_count} suggestions across ${chunkCount} chunks`);
+    this.logUsage();
+  }
+
+  /**
+   * Log the token usage and estimated cost of the run, and the files left unreviewed
+   */
+  logUsage() {
+    core.info(`💰 Token Usage: ${this.describeUsage(this.usage)} in ${this.usage.requests} requests`);
+    
+    if (this.unreviewedFiles.size > 0) {
+      core.warning(`⚠️  Review incomplete - ${this.describeIncompleteReview()}: ${[...this.unreviewedFiles].join(', ')}`);
+    }
+  }
+
+  /**
+   * Fail the job for a blocked merge, or only warn in advisory mode
+   */
+  reportBlockedMerge(message) {
+    if (this.advisoryMode) {
+      core.warning(`${message} (advisory mode - the job is not failed)`);
+      return;
+    }
+    
+    core.setFailed(message);
+  }
+
+  /**
+   * Review a diff with the primary provider and every consensus model, then merge their findings
+   */
+  async reviewWithConsensus(prompt, diff, failedFiles = new Set()) {
+    const members = [this.providerChain[0], ...this.consensusReviewers];
+    const responses = [];
+    const failedByMember = [];
+    
+    for (const [index, member] of members.entries()) {
+      core.info(`🗳️  Consensus review ${index + 1}/${members.length} with ${this.describeProvider(member)}...`);
+      // Only the primary provider falls back, so every other vote comes from the model it names
+      const memberFailedFiles = new Set();
+      responses.push(await this.callLLM(prompt, diff, index === 0 ? this.providerChain : [member], memberFailedFiles));
+      failedByMember.push(memberFailedFiles);
+    }
+    
+    const reviewedCount = responses.filter(Boolean).length;
+    if (reviewedCount === 0) {
+      return null;
+    }
+    if (reviewedCount < this.consensusQuorum) {
+      // No issue could reach the quorum, so merging would downgrade every critical finding - keep them as reported instead
+      const baseIndex = responses.findIndex(Boolean);
+      failedByMember[baseIndex].forEach(file => failedFiles.add(file));
+      const note = `Only ${reviewedCount}/${members.length} consensus models returned a review, fewer than the quorum of ${this.consensusQuorum} - the findings of ${this.describeProvider(members[baseIndex])} are used without consensus.`;
+      core.warning(`⚠️  ${note}`);
+      return [...responses[baseIndex], { source: 'consensus', data: { summary: note, issues: [] } }];
+    }
+    
+    // A file is unreviewed only when no model that returned a review covered it
+    const reviewedMembers = failedByMember.filter((_, index) => responses[index]);
+    [...reviewedMembers[0]].filter(file => reviewedMembers.every(failed => failed.has(file))).forEach(file => failedFiles.add(file));
+    
+    return this.mergeConsensusResponses(responses, members);
+  }
+
+  /**
+   * Whether two issues from different models describe the same finding:
+   * same file and category, and line ranges overlapping within CONFIG.CONSENSUS_LINE_TOLERANCE
+   */
+  issuesMatch(first, second) {
+    if (first.file !== second.file || first.category !== second.category) {
+      return false;
+    }
+    
+    const range = issue => {
+      const lines = (Array.isArray(issue.lines) ? issue.lines : []).filter(Number.isInteger);
+      return lines.length > 0 ? [Math.min(...lines), Math.max(...lines)] : null;
+    };
+    const [firstRange, secondRange] = [range(first), range(second)];
+    if (!firstRange || !secondRange) {
+      return !firstRange && !secondRange;
+    }
+    
+    return firstRange[0] <= secondRange[1] + CONFIG.CONSENSUS_LINE_TOLERANCE
+      && secondRange[0] <= firstRange[1] + CONFIG.CONSENSUS_LINE_TOLERANCE;
+  }
+
+  /**
+   * Combine the issues of one consensus group: confidences are combined as independent votes
+   * (1 - Π(1 - confidence)), and the group stays critical only when at least a quorum of models rated it critical
+   */
+  combineConsensusIssues(group, members) {
+    const [first] = group.issues;
+    const agreement = group.members.size;
+    const criticalVotes = group.issues.filter(issue => issue.severity_proposed === 'critical').length;
+    const confirmed = criticalVotes >= this.consensusQuorum;
+    const critical = criticalVotes > 0;
+    const scores = group.issues.map(issue => issue.severity_score).filter(score => typeof score === 'number');
+    
+    return {
+      ...first,
+      severity_proposed: critical && confirmed ? 'critical' : 'suggestion',
+      severity_score: scores.length > 0
+        ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length * 10) / 10
+        : first.severity_score,
+      confidence: Math.round((1 - group.issues.reduce((product, issue) => product * (1 - (issue.confidence || 0)), 1)) * 100) / 100,
+      consensus: {
+        agreement,
+        quorum: this.consensusQuorum,
+        models: [...group.members].map(index => this.describeProvider(members[index])),
+        downgraded: critical && !confirmed
+      }
+    };
+  }
+
+  /**
+   * Merge the review blocks of the consensus models into a single list of blocks.
+   * Matching issues are grouped across models; groups stay in the review object of the first model
+   * that reported them, and groups first reported by another model are appended as one extra object.
+   */
+  mergeConsensusResponses(responses, members) {
+    const groups = [];
+    
+    responses.forEach((response, memberIndex) => {
+      if (!response) {
         return;
       }
-    } catch (error) {
-      core.warning(`⚠️  Error parsing JSON for detailed logging: ${error.message}`);
+      
+      response.forEach(({ data }, index) => {
+        const chunk = index + 1;
+        (data && Array.isArray(data.issues) ? data.issues : []).filter(issue => issue && typeof issue === 'object').forEach(issue => {
+          const group = groups.find(candidate => !candidate.members.has(memberIndex) && this.issuesMatch(candidate.issues[0], issue));
+          if (group) {
+            group.members.add(memberIndex);
+            group.issues.push(issue);
+          } else {
+            groups.push({ memberIndex, chunk, members: new Set([memberIndex]), issues: [issue] });
+          }
+        });
+      });
+    });
+    
+    const baseIndex = responses.findIndex(Boolean);
+    const baseGroups = groups.filter(group => group.memberIndex === baseIndex);
+    const otherGroups = groups.filter(group => group.memberIndex !== baseIndex);
+    const confirmedCount = groups.filter(group => group.issues.filter(issue => issue.severity_proposed === 'critical').length >= this.consensusQuorum).length;
+    core.info(`🗳️  Consensus: ${groups.length} distinct issues, ${confirmedCount} rated critical by at least ${this.consensusQuorum} models`);
+    
+    const mergedBlocks = responses[baseIndex].map((block, index) => {
+      if (!block.data) {
+        return block; // Left untouched, buildReview reports parse errors
+      }
+      
+      const reviewData = {
+        ...block.data,
+        issues: baseGroups
+          .filter(group => group.chunk === index + 1)
+          .map(group => this.combineConsensusIssues(group, members))
+      };
+      this.updateReviewMetrics(reviewData);
+      return { ...block, data: reviewData };
+    });
+    
+    if (otherGroups.length > 0) {
+      const reviewData = {
+        summary: `${otherGroups.length} issues were reported by other consensus models but not by ${this.describeProvider(members[baseIndex])}.`,
+        issues: otherGroups.map(group => this.combineConsensusIssues(group, members))
+      };
+      this.updateReviewMetrics(reviewData);
+      mergedBlocks.push({ source: 'consensus', data: reviewData });
     }
     
-    // Fallback to simple logging
-    if (shouldBlockMerge) {
-      core.setFailed('🚨 MERGE BLOCKED: LLM review found critical issues that must be addressed before merging.');
-      core.info('   Please fix the issues mentioned above and run the review again.');
-    } else {
-      core.info('✅ MERGE APPROVED: No critical issues found. Safe to merge.');
+    return mergedBlocks;
+  }
+
+  /**
+   * Describe the consensus behind an issue, or null when consensus review is disabled
+   */
+  describeIssueConsensus(issue) {
+    if (!issue.consensus) {
+      return null;
+    }
+    
+    const { agreement, quorum, models, downgraded } = issue.consensus;
+    const description = `${agreement} of ${this.consensusReviewers.length + 1} models (${models.join(', ')})`;
+    return downgraded ? `${description} - downgraded from critical, fewer than ${quorum} models rated it critical` : description;
+  }
+
+  /**
+   * Review each language group with its own prompt and combine the responses
+   */
+  async reviewLanguageGroups(changedFiles) {
+    const groups = this.groupFilesByLanguage(changedFiles);
+    const responses = [];
+    
+    for (const [language, files] of Object.entries(groups)) {
+      // Get language-specific review prompt
+      const reviewPrompt = getReviewPrompt(language, this.guidelines.prompt);
+      core.info(`📝 Using ${CONFIG.LANGUAGE_CONFIGS[language].name} review prompt for ${files.length} files`);
+      
+      const diff = this.getFullDiff(files);
+      const failedFiles = new Set();
+      const response = this.consensusReviewers.length > 0
+        ? await this.reviewWithConsensus(reviewPrompt, diff, failedFiles)
+        : await this.callLLM(reviewPrompt, diff, this.providerChain, failedFiles);
+      if (response) {
+        responses.push(response);
+      } else {
+        core.warning(`⚠️  ${CONFIG.LANGUAGE_CONFIGS[language].name} review failed for: ${files.join(', ')}`);
+        files.forEach(file => failedFiles.add(file));
+      }
+      // Files of failed groups and chunks are not covered by the decision, like files skipped by a usage limit
+      this.markUnreviewed([...failedFiles], 'their LLM requests failed');
     }
+    
+    if (responses.length === 0) {
+      return null;
+    }
+    
+    return this.combineLLMResponses(responses);
+  }
+
+  /**
+   * Generate the PR comment for a review that produced no result. It carries no review metadata,
+   * so the next incremental run reviews the whole PR.
+   */
+  generateFailureComment(changedFiles, reason) {
+    const advisoryNote = this.advisoryMode ? ' (advisory mode - the merge is not blocked)' : '';
+    
+    return `${CONFIG.COMMENT_MARKER}
+## 🤖 DeepReview
+
+**Overall Assessment**: ❌ **REVIEW FAILED** - ${reason}${advisoryNote}
+
+No merge decision was made because the changes were not reviewed. Run the job again once the provider is reachable.
+
+**Review Details:**
+- **Provider**: ${this.providerChain.map(target => this.describeProvider(target)).join(', ')}
+- **Files Not Reviewed**: ${changedFiles.map(file => `\`${file}\``).join(', ')}
+- **Review Date**: ${new Date().toLocaleString()}
+- **Base Branch**: ${this.baseBranch}
+${this.describeUsageDetails()}`;
+  }
+
+  /**
+   * Report a review that produced no result because every provider failed for every chunk:
+   * post a failure comment, conclude the check run and fail the job instead of exiting silently
+   */
+  async handleReviewFailure(changedFiles) {
+    const reason = `No review result for the ${changedFiles.length} changed files - every provider request failed (see the job log).`;
+    
+    await this.addPRComment(this.generateFailureComment(changedFiles, reason));
+    await this.createCompletedCheckRun(this.getFailureConclusion(), '❌ Review failed', reason);
+    this.setActionOutputs(true, changedFiles, this.buildReview(), reason);
+    this.logUsage();
+    this.reportBlockedMerge(`❌ REVIEW FAILED: ${reason}`);
   }
 
   /**
@@ -1050,42 +3483,77 @@ ${shouldBlockMerge
    */
   async runReview() {
     this.logReviewDetails();
+    
+    await this.resolveDiffRange();
 
     const changedFiles = this.getChangedFiles();
+    const carriedIssues = this.getCarriedOverIssues(changedFiles);
     
-    if (!this.logChangedFiles(changedFiles)) {
+    if (!this.logChangedFiles(changedFiles) && carriedIssues.length === 0) {
+      await this.createCompletedCheckRun('success', '✅ No changes to review', `No changed files match the configured paths, patterns and languages (\`${this.diffRange}\`).`);
+      this.setActionOutputs(false, changedFiles, this.buildReview());
       return;
     }
 
     // LLM Review
     core.info(`🤖 Running LLM Review of branch changes...\n`);
-    
-    // Get language-specific review prompt
-    const reviewPrompt = getReviewPrompt(this.language);
-    core.info(`📝 Using ${CONFIG.LANGUAGE_CONFIGS[this.language]?.name || this.language} review prompt`);
       
-    const fullDiff = this.getFullDiff();
-    const llmResponse = await this.callLLM(reviewPrompt, fullDiff);
-    
-    if (this.logLLMResponse(llmResponse)) {
-      // Check if LLM recommends blocking the merge
-      const shouldBlockMerge = this.checkMergeDecision(llmResponse);
+    let llmResponse = [];
+    if (changedFiles.length > 0) {
+      llmResponse = await this.reviewLanguageGroups(changedFiles);
       
-      // Generate and post PR comment
-      const prComment = this.generatePRComment(shouldBlockMerge, changedFiles, llmResponse);
-      await this.addPRComment(prComment);
+      if (!llmResponse) {
+        await this.handleReviewFailure(changedFiles);
+        return;
+      }
       
-      this.logFinalDecision(shouldBlockMerge, llmResponse);
+      llmResponse = this.applyGuidelineSeverities(llmResponse);
+    }
+    
+    // Keep untouched findings from the previous review so the decision stays PR-wide
+    if (carriedIssues.length > 0) {
+      core.info(`🔁 Carrying over ${carriedIssues.length} issues from the previous review`);
+      llmResponse = this.appendCarriedOverIssues(llmResponse, carriedIssues);
+    }
+    
+    this.logLLMResponse(this.formatReviewBlocks(llmResponse));
+    
+    // Build the normalized review once and drive every consumer from it
+    const review = this.buildReview(llmResponse);
+    if (this.synthesizeReview && review.chunks.length > 1) {
+      review.synthesis = await this.synthesizeChunkReviews(review);
     }
+    
+    // Check if the review should block the merge
+    const shouldBlockMerge = this.checkMergeDecision(review);
+    
+    // Generate and post PR comment
+    if (this.commentMode === 'inline') {
+      await this.addPRReview(shouldBlockMerge, changedFiles, review);
+    } else {
+      const prComment = this.generatePRComment(shouldBlockMerge, changedFiles, review);
+      await this.addPRComment(prComment);
+    }
+    
+    await this.publishCheckRun(shouldBlockMerge, changedFiles, review);
+    this.writeSarifReport(review);
+    this.setActionOutputs(shouldBlockMerge, changedFiles, review);
+    
+    this.logFinalDecision(shouldBlockMerge, review);
   }
 }
 
 // Run the review
 async function run() {
+  let reviewer = null;
   try {
-    const reviewer = new GitHubActionsReviewer();
+    reviewer = new GitHubActionsReviewer();
     await reviewer.runReview();
   } catch (error) {
+    // Follow-up steps must never read an unset decision, so outputs are set for unexpected errors too
+    if (reviewer) {
+      reviewer.setActionOutputs(true, [], reviewer.buildReview(), error.message);
+    }
     core.setFailed(`❌ Review failed: ${error.message}`);
   }
 }
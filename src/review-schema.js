@@ -0,0 +1,217 @@
+const { CONFIG } = require('./constants');
+
+const riskFactor = { type: 'number', minimum: 0, maximum: 5 };
+const lineRange = { type: 'array', items: { type: 'integer', minimum: 0 } };
+
+/**
+ * JSON schema of the review object each chunk response must contain.
+ * `required` lists the fields the reviewer relies on; the remaining fields are optional.
+ */
+const REVIEW_JSON_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'issues'],
+  properties: {
+    summary: { type: 'string' },
+    issues: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'category', 'severity_proposed', 'severity_score', 'confidence', 'file', 'lines', 'why_it_matters', 'fix'],
+        properties: {
+          id: { type: 'string' },
+          category: { type: 'string', enum: CONFIG.ISSUE_CATEGORIES },
+          severity_proposed: { type: 'string', enum: ['critical', 'suggestion'] },
+          severity_score: { type: 'number', minimum: 0, maximum: 5 },
+          risk_factors: {
+            type: 'object',
+            required: ['impact', 'exploitability', 'likelihood', 'blast_radius', 'evidence_strength'],
+            properties: {
+              impact: riskFactor,
+              exploitability: riskFactor,
+              likelihood: riskFactor,
+              blast_radius: riskFactor,
+              evidence_strength: riskFactor
+            }
+          },
+          confidence: { type: 'number', minimum: 0, maximum: 1 },
+          file: { type: 'string' },
+          lines: lineRange,
+          snippet: { type: 'string' },
+          why_it_matters: { type: 'string' },
+          fix: { type: 'string' },
+          tests: { type: 'string' },
+          occurrences: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['file', 'lines'],
+              properties: {
+                file: { type: 'string' },
+                lines: lineRange
+              }
+            }
+          },
+          rule: { type: 'string' }
+        }
+      }
+    },
+    metrics: {
+      type: 'object',
+      required: ['critical_count', 'suggestion_count'],
+      properties: {
+        critical_count: { type: 'integer', minimum: 0 },
+        suggestion_count: { type: 'integer', minimum: 0 }
+      }
+    },
+    final_recommendation: { type: 'string', enum: ['safe_to_merge', 'do_not_merge'] }
+  }
+};
+
+/**
+ * JSON schema of the synthesis response that combines the findings of every chunk into one assessment
+ */
+const SYNTHESIS_JSON_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'risk_assessment', 'interactions', 'final_recommendation'],
+  properties: {
+    summary: { type: 'string' },
+    risk_assessment: { type: 'string' },
+    interactions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['files', 'risk'],
+        properties: {
+          files: { type: 'array', items: { type: 'string' } },
+          issue_ids: { type: 'array', items: { type: 'string' } },
+          risk: { type: 'string' }
+        }
+      }
+    },
+    final_recommendation: { type: 'string', enum: ['safe_to_merge', 'do_not_merge'] }
+  }
+};
+
+/**
+ * Convert a schema to the strict form required by OpenAI structured outputs:
+ * every property is required, optional ones become nullable, and no additional properties are allowed
+ */
+function toStrictSchema(schema) {
+  if (schema.type === 'array') {
+    return { ...schema, items: toStrictSchema(schema.items) };
+  }
+  if (schema.type !== 'object') {
+    return schema;
+  }
+
+  const required = schema.required || [];
+  const properties = Object.fromEntries(Object.entries(schema.properties).map(([key, property]) => {
+    const strictProperty = toStrictSchema(property);
+    if (required.includes(key)) {
+      return [key, strictProperty];
+    }
+    // enum must list null too, or a nullable enum property could never be null
+    return [key, {
+      ...strictProperty,
+      type: [strictProperty.type, 'null'],
+      ...(strictProperty.enum && { enum: [...strictProperty.enum, null] })
+    }];
+  }));
+
+  return { ...schema, properties, required: Object.keys(properties), additionalProperties: false };
+}
+
+/**
+ * Check a value against a single schema type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'null':
+      return value === null;
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && !Number.isNaN(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Validate a value against a schema, collecting error messages
+ */
+function validateValue(value, schema, path, errors) {
+  const types = [].concat(schema.type);
+  if (!types.some(type => matchesType(value, type))) {
+    errors.push(`${path} must be ${types.join(' or ')} (got ${Array.isArray(value) ? 'array' : JSON.stringify(value)})`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path} must be ≥ ${schema.minimum} (got ${value})`);
+  }
+  if (typeof value === 'number' && schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${path} must be ≤ ${schema.maximum} (got ${value})`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, errors));
+  }
+
+  if (matchesType(value, 'object') && schema.properties) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${path}.${key} is missing`);
+      }
+    });
+    Object.entries(schema.properties).forEach(([key, property]) => {
+      // Optional fields may be null (strict structured outputs send null for them)
+      if (value[key] !== undefined && value[key] !== null) {
+        validateValue(value[key], property, `${path}.${key}`, errors);
+      }
+    });
+  }
+}
+
+/**
+ * Validate a parsed review object, returning a list of error messages
+ */
+function validateReview(review) {
+  const errors = [];
+  validateValue(review, REVIEW_JSON_SCHEMA, 'review', errors);
+  return errors;
+}
+
+/**
+ * Validate a single issue, e.g. one carried over from the metadata of a previous review
+ */
+function validateIssue(issue) {
+  const errors = [];
+  validateValue(issue, REVIEW_JSON_SCHEMA.properties.issues.items, 'issue', errors);
+  return errors;
+}
+
+/**
+ * Validate a parsed synthesis object, returning a list of error messages
+ */
+function validateSynthesis(synthesis) {
+  const errors = [];
+  validateValue(synthesis, SYNTHESIS_JSON_SCHEMA, 'synthesis', errors);
+  return errors;
+}
+
+module.exports = {
+  REVIEW_JSON_SCHEMA,
+  SYNTHESIS_JSON_SCHEMA,
+  toStrictSchema,
+  validateReview,
+  validateIssue,
+  validateSynthesis
+};
@@ -0,0 +1,48 @@
+const { getModelTokenizer } = require('./constants');
+
+// Encodings are loaded on first use, each one carries a large rank table
+const ENCODINGS = {
+  o200k_base: () => require('gpt-tokenizer/encoding/o200k_base'),
+  cl100k_base: () => require('gpt-tokenizer/encoding/cl100k_base')
+};
+
+const loadedEncodings = {};
+
+/**
+ * Get a BPE encoding by name, loading it on first use
+ */
+function getEncoding(name) {
+  if (!loadedEncodings[name]) {
+    loadedEncodings[name] = ENCODINGS[name]();
+  }
+  return loadedEncodings[name];
+}
+
+/**
+ * Count the tokens of a text for a model: exact for models with a known BPE encoding,
+ * otherwise approximated from the encoding count and the model's ratio
+ */
+function countTokens(text, model) {
+  if (!text) {
+    return 0;
+  }
+
+  const tokenizer = getModelTokenizer(model);
+  // Diffs may contain special token strings such as <|endoftext|>, count them as plain text
+  const count = getEncoding(tokenizer.encoding).countTokens(text, { disallowedSpecial: new Set() });
+
+  return tokenizer.ratio ? Math.ceil(count * tokenizer.ratio) : count;
+}
+
+/**
+ * Describe how the tokens of a model are counted, for logs
+ */
+function describeTokenizer(model) {
+  const tokenizer = getModelTokenizer(model);
+  return tokenizer.ratio ? `${tokenizer.encoding} × ${tokenizer.ratio} (approximation)` : `${tokenizer.encoding} (exact)`;
+}
+
+module.exports = {
+  countTokens,
+  describeTokenizer
+};